@@ -5,46 +5,463 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const dockerService = require('./services/docker');
 const sshService = require('./services/ssh');
-const cryptoService = require('./services/crypto');
+const gitService = require('./services/git');
 const db = require('./services/database');
+const jobQueue = require('./services/queue');
+const projectsService = require('./services/projects');
+const webhooks = require('./services/webhooks');
+const registry = require('./services/registry');
+const auth = require('./services/auth');
+const audit = require('./services/audit');
+const secretsService = require('./services/secrets');
+const scanService = require('./services/scan');
+const keys = require('./services/keys');
+const { validateContainerOptions } = require('./services/container');
+const { getPlatforms, validatePlatforms, validateBuildOptions, getBuildArgsText, getBuildOptions } = require('./services/build');
+const { getTestSteps, isPushEnabled, isDeployEnabled, validatePipeline, getJobSteps } = require('./services/pipeline');
+const { resolveTargets, validateTargets, stripTargetSecrets, getBatches } = require('./services/targets');
+const { applyEnvironment, getNextEnvironment, validateEnvironments } = require('./services/environments');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(bodyParser.json());
+// Keep the raw body around for webhook signature verification
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static('public'));
 
 // In-memory job tracking (for active jobs only)
 const activeJobs = new Map();
 
+// Open Server-Sent Events connections per job (jobId -> Set of responses)
+const jobStreams = new Map();
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Deploy request fields that do not make a job differ from the saved project revision
+const UNSAVED_CHANGES_IGNORED_FIELDS = ['imageTag', 'repoRef', 'webhookSecret', 'webhookBranches'];
+
+// Authentication
+// Routes reachable without a login: first-run setup, login, and webhooks (signed per project)
+const PUBLIC_API_PATHS = ['/auth/status', '/auth/setup', '/auth/login'];
+
+async function authenticate(req) {
+  const credentials = auth.getRequestCredentials(req);
+  if (!credentials) return null;
+
+  const tokenHash = auth.hashToken(credentials.token);
+  const userId = credentials.type === 'token'
+    ? await db.getApiTokenUserId(tokenHash)
+    : await db.getSessionUserId(tokenHash);
+  return userId ? db.getUser(userId) : null;
+}
+
+app.use('/api', async (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path) || req.path.startsWith('/hooks/')) {
+    return next();
+  }
+
+  try {
+    req.user = await authenticate(req);
+  } catch (error) {
+    return res.status(500).json({ error: `Authentication failed: ${error.message}` });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  // Viewers can only read
+  if (req.method !== 'GET' && req.user.role === 'viewer' && !req.path.startsWith('/auth/') && !req.path.startsWith('/tokens')) {
+    return res.status(403).json({ error: 'Viewers cannot make changes' });
+  }
+  next();
+});
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+}
+
+function requireProjectAccess(req, res, projectId) {
+  if (auth.canAccessProject(req.user, projectId)) {
+    return true;
+  }
+  res.status(403).json({ error: projectId ? 'You are not allowed to deploy this project' : 'Deployers can only deploy saved projects' });
+  return false;
+}
+
+// Deployers deploy the saved project as it is: only the environment, image tag and Git ref come
+// from the request. The server decrypts the project with its server-managed key or the master
+// password sent with the request. Sends an error response and returns null on failure.
+async function getSavedDeployRequest(req, res) {
+  const { projectId, environment, imageTag, repoRef, masterPassword } = req.body;
+  const project = await db.getProject(parseInt(projectId));
+
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  if (project.keyMode !== 'server' && !masterPassword) {
+    res.status(400).json({ error: 'Master password required' });
+    return null;
+  }
+
+  let config;
+  try {
+    config = projectsService.decryptConfig(project.config, getProjectKey(project, masterPassword));
+  } catch (error) {
+    await recordAudit(req, 'project.decrypt_failed', { projectId: project.id, details: { name: project.name, purpose: 'deploy' } });
+    res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    return null;
+  }
+
+  return { ...config, projectId: project.id, projectRevision: project.revision, environment, imageTag: imageTag || config.imageTag, repoRef: repoRef || config.repoRef };
+}
+
+// Audit failures are logged but never fail the request being audited
+async function recordAudit(req, action, { projectId, jobId, details, username } = {}) {
+  try {
+    await db.addAuditEvent({
+      username: req.user ? req.user.username : username,
+      action,
+      projectId,
+      jobId,
+      ipAddress: req.ip,
+      details
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error.message);
+  }
+}
+
+async function startSession(req, res, userId) {
+  const token = auth.generateToken();
+  await db.createSession(auth.hashToken(token), userId, auth.getSessionExpiry());
+  res.set('Set-Cookie', auth.getSessionCookie(token, req.secure));
+}
+
+// Whether the first admin account still has to be created, and whether projects can use
+// a server-managed key
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    res.json({ setupRequired: (await db.countUsers()) === 0, serverKeys: keys.isServerKeyAvailable() });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to check setup status: ${error.message}` });
+  }
+});
+
+// Create the first admin account. Only allowed while no users exist.
+app.post('/api/auth/setup', async (req, res) => {
+  const { username, password } = req.body;
+
+  const userError = auth.validateUser({ username, password, role: 'admin' }, true);
+  if (userError) {
+    return res.status(400).json({ error: userError });
+  }
+
+  try {
+    if ((await db.countUsers()) > 0) {
+      return res.status(409).json({ error: 'Setup has already been completed' });
+    }
+
+    const userId = await db.createUser(username, await auth.hashPassword(password), 'admin', []);
+    await startSession(req, res, userId);
+    res.json({ user: await db.getUser(userId), message: 'Admin account created' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to create admin account: ${error.message}` });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Missing required fields: username, password' });
+  }
+
+  try {
+    const credentials = await db.getUserCredentials(username);
+    if (!credentials || !(await auth.verifyPassword(password, credentials.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startSession(req, res, credentials.id);
+    res.json({ user: await db.getUser(credentials.id) });
+  } catch (error) {
+    res.status(500).json({ error: `Login failed: ${error.message}` });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const credentials = auth.getRequestCredentials(req);
+    if (credentials && credentials.type === 'session') {
+      await db.deleteSession(auth.hashToken(credentials.token));
+    }
+    res.set('Set-Cookie', auth.getSessionCookie(null, req.secure));
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: `Logout failed: ${error.message}` });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// User management (admin only)
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    res.json(await db.getAllUsers());
+  } catch (error) {
+    res.status(500).json({ error: `Failed to fetch users: ${error.message}` });
+  }
+});
+
+// Create or update a user. The password is only changed when given.
+app.post('/api/users', requireAdmin, async (req, res) => {
+  const { id, username, password, role } = req.body;
+  const projectIds = role === 'deployer' ? (req.body.projectIds || []) : [];
+
+  const userError = auth.validateUser({ username, password, role, projectIds }, !id);
+  if (userError) {
+    return res.status(400).json({ error: userError });
+  }
+
+  try {
+    const passwordHash = password ? await auth.hashPassword(password) : null;
+
+    if (id) {
+      const existingUser = await db.getUser(parseInt(id));
+      if (!existingUser) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (existingUser.id === req.user.id && role !== 'admin') {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+      }
+      await db.updateUser(existingUser.id, role, projectIds, passwordHash);
+      res.json({ id: existingUser.id, message: 'User updated successfully' });
+    } else {
+      if (await db.getUserCredentials(username)) {
+        return res.status(409).json({ error: `User ${username} already exists` });
+      }
+      const newId = await db.createUser(username, passwordHash, role, projectIds);
+      res.json({ id: newId, message: 'User created successfully' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: `Failed to save user: ${error.message}` });
+  }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const user = await db.getUser(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    await db.deleteUser(user.id);
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to delete user: ${error.message}` });
+  }
+});
+
+// API tokens of the logged-in user, for scripts and CI (Authorization: Bearer <token>)
+app.get('/api/tokens', async (req, res) => {
+  try {
+    res.json(await db.getApiTokens(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: `Failed to fetch API tokens: ${error.message}` });
+  }
+});
+
+// The token is only returned once, only its hash is stored
+app.post('/api/tokens', async (req, res) => {
+  const { name } = req.body;
+
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ error: 'Token name is required (up to 100 characters)' });
+  }
+
+  try {
+    const token = auth.generateToken();
+    const id = await db.createApiToken(req.user.id, name, auth.hashToken(token));
+    res.json({ id, name, token, message: 'API token created. Copy it now, it will not be shown again.' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to create API token: ${error.message}` });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  try {
+    if (!(await db.deleteApiToken(parseInt(req.params.id), req.user.id))) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to revoke API token: ${error.message}` });
+  }
+});
+
 // API Routes
 app.post('/api/deploy', async (req, res) => {
-  const { projectPath, dockerfileName, contextPath, imageName, imageTag, dockerHubUsername, dockerHubPassword, sshHost, sshUser, sshPassword, sshPrivateKey, sshPassphrase, containerName, hostPort, containerPort, buildPlatform, envVars, useEnvFile, volumes } = req.body;
+  if (!requireProjectAccess(req, res, parseInt(req.body.projectId) || null)) return;
+
+  // Admins deploy the form as submitted, deployers the saved project
+  let source = req.body;
+  let project = null;
+  try {
+    if (req.user.role !== 'admin') {
+      source = await getSavedDeployRequest(req, res);
+      if (!source) return;
+    } else if (parseInt(req.body.projectId)) {
+      project = await db.getProject(parseInt(req.body.projectId));
+    }
+  } catch (error) {
+    return res.status(500).json({ error: `Failed to load project: ${error.message}` });
+  }
+
+  if (source === req.body) {
+    try {
+      source = restoreProjectSecrets(project, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  const { projectId, environment, environments } = source;
+
+  const environmentsError = validateEnvironments(environments);
+  if (environmentsError) {
+    return res.status(400).json({ error: environmentsError });
+  }
+
+  // Apply the selected environment's overrides before validating the deploy fields
+  let body;
+  try {
+    body = applyEnvironment(source, environment);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { projectPath, repoUrl, repoRef, repoSubmodules, repoDeployKey, dockerfileName, contextPath, imageName, imageTag, registryHost, registryNamespace, registryCredentialType, dockerHubUsername, dockerHubPassword, sshHost, sshUser, sshPassword, sshPrivateKey, sshPassphrase, containerName, hostPort, containerPort, buildPlatform, envVars, useEnvFile, volumes, deployMode, alternatePort, healthCheckPath, healthCheck, composeTemplate, containerOptions, buildOptions, pipeline, scan, targets, targetStrategy, batchSize, secrets } = body;
+  // Build-only pipelines need no SSH settings
+  const deploying = isDeployEnabled(body);
 
   // Validate required fields
-  if (!projectPath || !imageName || !imageTag || !dockerHubUsername || !dockerHubPassword || !sshHost || !sshUser || !containerName) {
+  if ((!projectPath && !repoUrl) || !imageName || !imageTag || (deploying && (!sshHost || !sshUser || !containerName))) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
+  const registryError = registry.validateRegistry(body);
+  if (registryError) {
+    return res.status(400).json({ error: registryError });
+  }
+
   // Validate SSH authentication - must have either password or private key
+  if (deploying && !sshPassword && !sshPrivateKey) {
+    return res.status(400).json({ error: 'Either SSH password or SSH private key must be provided' });
+  }
+
+  const settingsError = validateDeploySettings(body);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  const payload = { projectId: parseInt(projectId) || null, environment: body.environment, createdBy: req.user.username, projectPath, repoUrl, repoRef, repoSubmodules, repoDeployKey, dockerfileName, contextPath, imageName, imageTag, registryHost, registryNamespace, registryCredentialType, dockerHubUsername, dockerHubPassword, sshHost, sshUser, sshPassword, sshPrivateKey, sshPassphrase, containerName, hostPort, containerPort, buildPlatform, envVars, useEnvFile, volumes, deployMode, alternatePort, healthCheckPath, healthCheck, composeTemplate, containerOptions, buildOptions, pipeline, scan, targets, targetStrategy, batchSize, secrets };
+
+  const targetsError = validateJobTargets(payload) || validateJobSecrets(payload);
+  if (targetsError) {
+    return res.status(400).json({ error: targetsError });
+  }
+
+  try {
+    // Jobs remember the saved project revision current at deploy time, and whether the form
+    // deployed settings that differ from it
+    const unsavedChanges = project ? getUnsavedChanges(project, source) : [];
+    payload.projectRevision = project ? project.revision : source.projectRevision || null;
+    if (unsavedChanges.length > 0) {
+      payload.projectModified = true;
+    }
+
+    const jobId = await queueJob(getJobConfig(payload), payload, body.environment ? `Job queued for environment ${body.environment}` : 'Job queued');
+    await recordAudit(req, 'job.deploy', { projectId: payload.projectId, jobId, details: { ...getJobAuditDetails(payload), ...(unsavedChanges.length > 0 ? { unsavedChanges } : {}) } });
+
+    res.json({ jobId, message: 'Deployment queued' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to create job: ${error.message}` });
+  }
+});
+
+// Redeploy the image tag of a previous successful job, skipping build and push
+app.post('/api/rollback', async (req, res) => {
+  const { jobId: sourceJobId, sshUser, sshPassword, sshPrivateKey, sshPassphrase, secrets } = req.body;
+
+  if (!sourceJobId) {
+    return res.status(400).json({ error: 'Missing required field: jobId' });
+  }
+
   if (!sshPassword && !sshPrivateKey) {
     return res.status(400).json({ error: 'Either SSH password or SSH private key must be provided' });
   }
 
   try {
-    const config = { projectPath, dockerfileName, contextPath, imageName, imageTag, sshHost, containerName, hostPort, containerPort, buildPlatform, envVars, useEnvFile, volumes };
-    const jobId = await db.createJob(config);
+    const sourceJob = await db.getJob(parseInt(sourceJobId));
+    if (!sourceJob) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!requireProjectAccess(req, res, sourceJob.projectId)) return;
+
+    // Build-only jobs have no deploy step (jobs from before pipeline steps have no steps at all)
+    const imageTag = await db.getImageTagByJob(sourceJob.id);
+    const deployed = sourceJob.steps.length === 0 || sourceJob.steps.some(step => step.name === 'deploy');
+    if (sourceJob.status !== 'completed' || !imageTag || !deployed) {
+      return res.status(400).json({ error: 'Only successfully deployed jobs can be rolled back to' });
+    }
+
+    // Reuse the original job's stored config with the tag it deployed
+    const config = {
+      ...sourceJob.config,
+      imageTag: imageTag.tag,
+      sshUser: sshUser || sourceJob.config.sshUser,
+      createdBy: req.user.username
+    };
+
+    if (!config.sshUser) {
+      return res.status(400).json({ error: 'Missing required field: sshUser' });
+    }
+
+    // Server-managed projects fill in the form's credential placeholders from the saved project
+    let credentials;
+    try {
+      const project = sourceJob.projectId ? await db.getProject(sourceJob.projectId) : null;
+      credentials = restoreProjectSecrets(project, { sshPassword, sshPrivateKey, sshPassphrase, secrets });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Store active job in memory for real-time updates
-    activeJobs.set(jobId, { status: 'pending', logs: [] });
+    // Additional targets without their own credentials inherit these
+    const payload = { ...config, ...credentials, skipBuild: true, skipTagHistory: true };
 
-    res.json({ jobId, message: 'Deployment started' });
+    const secretsError = validateJobSecrets(payload);
+    if (secretsError) {
+      return res.status(400).json({ error: secretsError });
+    }
+    const jobId = await queueJob(config, payload, `Rollback to ${imageTag.imageKey}:${imageTag.tag} (from job #${sourceJob.id}) queued`, 'rollback', sourceJob.id);
+    await recordAudit(req, 'job.rollback', { projectId: sourceJob.projectId, jobId, details: { ...getJobAuditDetails(payload), sourceJobId: sourceJob.id } });
 
-    // Run deployment asynchronously
-    runDeployment(jobId, { projectPath, dockerfileName, contextPath, imageName, imageTag, dockerHubUsername, dockerHubPassword, sshHost, sshUser, sshPassword, sshPrivateKey, sshPassphrase, containerName, hostPort, containerPort, buildPlatform, envVars, useEnvFile, volumes });
+    res.json({ jobId, message: 'Rollback queued' });
   } catch (error) {
-    res.status(500).json({ error: `Failed to create job: ${error.message}` });
+    res.status(500).json({ error: `Failed to create rollback job: ${error.message}` });
   }
 });
 
@@ -60,7 +477,8 @@ app.get('/api/jobs', async (req, res) => {
         return {
           ...job,
           status: activeJob.status,
-          logs: activeJob.logs
+          targets: activeJob.targets,
+          steps: activeJob.steps
         };
       }
       return job;
@@ -86,7 +504,9 @@ app.get('/api/jobs/:id', async (req, res) => {
       return res.json({
         ...job,
         status: activeJob.status,
-        logs: activeJob.logs
+        logs: activeJob.logs,
+        targets: activeJob.targets,
+        steps: activeJob.steps
       });
     }
 
@@ -96,6 +516,111 @@ app.get('/api/jobs/:id', async (req, res) => {
   }
 });
 
+// Cancel a pending or running job, aborting whichever step is in progress
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const job = activeJobs.get(jobId);
+    const storedJob = await db.getJob(jobId);
+
+    if (!storedJob) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!requireProjectAccess(req, res, storedJob.projectId)) return;
+
+    if (!job) {
+      return res.status(409).json({ error: `Job is already ${storedJob.status}` });
+    }
+
+    if (job.abortController.signal.aborted) {
+      return res.status(409).json({ error: 'Job is already being cancelled' });
+    }
+
+    addLog(jobId, `Cancellation requested by ${req.user.username}...`);
+    job.abortController.abort();
+    await recordAudit(req, 'job.cancel', { projectId: storedJob.projectId, jobId, details: { status: job.status } });
+
+    // Queued jobs never reach runDeployment, so finish them here
+    if (jobQueue.dequeue(jobId)) {
+      addLog(jobId, 'Deployment cancelled');
+      await setJobStatus(jobId, 'cancelled');
+    }
+
+    res.json({ jobId, message: 'Cancellation requested' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to cancel job: ${error.message}` });
+  }
+});
+
+// Stream job logs and status changes via Server-Sent Events.
+// Resumes from the Last-Event-ID header or ?offset=N (number of log lines already received).
+app.get('/api/jobs/:id/stream', async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const offset = Math.max(parseInt(req.get('Last-Event-ID') || req.query.offset, 10) || 0, 0);
+
+  try {
+    const job = await db.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Prefer in-memory data for active jobs (more up-to-date)
+    const activeJob = activeJobs.get(jobId);
+    const logs = activeJob ? activeJob.logs : job.logs;
+    const status = activeJob ? activeJob.status : job.status;
+    const targets = activeJob ? activeJob.targets : job.targets;
+    const steps = activeJob ? activeJob.steps : job.steps;
+
+    // Steps come first so clients can sort the replayed log lines into step sections by logStart
+    targets.forEach((target, index) => sendEvent(res, 'target', { index, ...target }));
+    steps.forEach((step, index) => sendEvent(res, 'step', { index, ...step }));
+    logs.slice(offset).forEach((line, i) => sendEvent(res, 'log', line, offset + i + 1));
+    if (job.scan) {
+      sendEvent(res, 'scan', job.scan);
+    }
+    sendEvent(res, 'status', { status });
+
+    // Finished jobs have nothing more to stream
+    if (!activeJob) {
+      sendEvent(res, 'end', { status });
+      return res.end();
+    }
+
+    if (!jobStreams.has(jobId)) {
+      jobStreams.set(jobId, new Set());
+    }
+    jobStreams.get(jobId).add(res);
+
+    // Keep the connection alive through proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const streams = jobStreams.get(jobId);
+      if (streams) {
+        streams.delete(res);
+        if (streams.size === 0) {
+          jobStreams.delete(jobId);
+        }
+      }
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: `Failed to stream job: ${error.message}` });
+  }
+});
+
 // Project Management API Routes
 
 // Get all projects (without decrypted sensitive data)
@@ -109,36 +634,37 @@ app.get('/api/projects', async (req, res) => {
 });
 
 // Create or update project
-app.post('/api/projects', async (req, res) => {
-  const { id, name, masterPassword, config } = req.body;
-
-  if (!name || !masterPassword || !config) {
-    return res.status(400).json({ error: 'Missing required fields: name, masterPassword, config' });
-  }
-
-  try {
-    // Encrypt sensitive fields
-    const encryptedConfig = {
-      projectPath: config.projectPath,
-      dockerfileName: config.dockerfileName,
-      contextPath: config.contextPath,
-      imageName: config.imageName,
-      imageTag: config.imageTag,
-      buildPlatform: config.buildPlatform,
-      dockerHubUsername: config.dockerHubUsername,
-      dockerHubPassword: cryptoService.encrypt(config.dockerHubPassword, masterPassword),
-      sshHost: config.sshHost,
-      sshUser: config.sshUser,
-      sshPassword: config.sshPassword ? cryptoService.encrypt(config.sshPassword, masterPassword) : null,
-      sshPrivateKey: config.sshPrivateKey ? cryptoService.encrypt(config.sshPrivateKey, masterPassword) : null,
-      sshPassphrase: config.sshPassphrase ? cryptoService.encrypt(config.sshPassphrase, masterPassword) : null,
-      containerName: config.containerName,
-      hostPort: config.hostPort,
-      containerPort: config.containerPort,
-      envVars: config.envVars,
-      useEnvFile: config.useEnvFile,
-      volumes: config.volumes
-    };
+app.post('/api/projects', requireAdmin, async (req, res) => {
+  const { id, name, masterPassword, config, keyMode } = req.body;
+
+  if (!name || !config) {
+    return res.status(400).json({ error: 'Missing required fields: name, config' });
+  }
+
+  if (keyMode && !keys.KEY_MODES.includes(keyMode)) {
+    return res.status(400).json({ error: `Invalid keyMode: ${keyMode} (expected ${keys.KEY_MODES.join(', ')})` });
+  }
+
+  try {
+    const environmentsError = validateEnvironments(config.environments);
+    if (environmentsError) {
+      return res.status(400).json({ error: environmentsError });
+    }
+
+    // The settings must be deployable as saved and with each environment's overrides
+    const settingsError = [null, ...(config.environments || []).map(environment => environment.name)]
+      .map(name => validateDeploySettings(applyEnvironment(config, name)))
+      .find(error => error);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    // Every env var block that may be deployed, and the build args, can only reference secrets of this project
+    const envVarBlocks = [config, ...(config.targets || []), ...(config.environments || [])].map(entry => entry.envVars);
+    const secretsError = secretsService.validateSecrets(config.secrets, [...envVarBlocks, getBuildArgsText(config.buildOptions)]);
+    if (secretsError) {
+      return res.status(400).json({ error: secretsError });
+    }
 
     if (id) {
       // Update existing project
@@ -146,68 +672,572 @@ app.post('/api/projects', async (req, res) => {
       if (!existingProject) {
         return res.status(404).json({ error: 'Project not found' });
       }
-      await db.updateProject(parseInt(id), name, encryptedConfig);
-      res.json({ id: parseInt(id), message: 'Project updated successfully' });
+      // The key mode is changed with /api/projects/:id/key-mode, not by saving
+      if (existingProject.keyMode !== 'server' && !masterPassword) {
+        return res.status(400).json({ error: 'Master password required' });
+      }
+      let savedConfig;
+      try {
+        savedConfig = restoreProjectSecrets(existingProject, config);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const revision = await saveProjectRevision(req, existingProject, name, savedConfig, getProjectKey(existingProject, masterPassword), null);
+      res.json({ id: existingProject.id, revision, message: 'Project updated successfully' });
     } else {
-      // Create new project
-      const newId = await db.createProject(name, encryptedConfig);
-      res.json({ id: newId, message: 'Project created successfully' });
+      // Create new project, encrypted with the master password or a new server-managed data key
+      let key = masterPassword;
+      let wrappedKey = null;
+      if (keyMode === 'server') {
+        if (!keys.isServerKeyAvailable()) {
+          return res.status(400).json({ error: 'Server-managed keys require ENCRYPTION_KEY or ENCRYPTION_KEY_FILE to be set on the server' });
+        }
+        key = keys.generateDataKey();
+        wrappedKey = keys.wrapDataKey(key);
+      } else if (!masterPassword) {
+        return res.status(400).json({ error: 'Master password required' });
+      }
+
+      // A project saved as new from a server-managed one has no saved secrets to restore
+      try {
+        projectsService.restoreSecrets(config, {});
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const encryptedConfig = projectsService.encryptConfig(config, key);
+      const secretVersions = projectsService.getSecretVersions(null, config, {}, 1);
+      const newId = await db.createProject(name, encryptedConfig, req.user.username, secretVersions, keyMode || 'password', wrappedKey);
+      await recordAudit(req, 'project.create', { projectId: newId, details: { name, keyMode: keyMode || 'password', changes: projectsService.diffConfigs(null, config) } });
+      res.json({ id: newId, revision: 1, message: 'Project created successfully' });
     }
   } catch (error) {
     res.status(500).json({ error: `Failed to save project: ${error.message}` });
   }
 });
 
-// Get project by ID and decrypt
-app.post('/api/projects/:id/decrypt', async (req, res) => {
-  const { masterPassword } = req.body;
+// Re-encrypt every project that the old master password decrypts (admin only).
+// Projects it does not decrypt are left alone and listed in `skipped`; projects with a
+// server-managed key have no master password and are not included.
+app.post('/api/projects/rotate-key', requireAdmin, async (req, res) => {
+  const { oldPassword, newPassword } = req.body;
 
-  if (!masterPassword) {
-    return res.status(400).json({ error: 'Master password required' });
+  const passwordError = validateNewMasterPassword(oldPassword, newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
   }
 
   try {
-    const project = await db.getProject(parseInt(req.params.id));
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    const updates = [];
+    const skipped = [];
+    for (const { id } of await db.getAllProjects()) {
+      const project = await db.getProject(id);
+      if (project.keyMode === 'server') continue;
+      try {
+        updates.push({ project, ...(await reencryptProject(project, oldPassword, newPassword)) });
+      } catch (error) {
+        skipped.push({ id: project.id, name: project.name });
+      }
     }
 
-    // Decrypt sensitive fields
-    const decryptedConfig = {
-      projectPath: project.config.projectPath,
-      dockerfileName: project.config.dockerfileName,
-      contextPath: project.config.contextPath,
-      imageName: project.config.imageName,
-      imageTag: project.config.imageTag,
-      buildPlatform: project.config.buildPlatform,
-      dockerHubUsername: project.config.dockerHubUsername,
-      dockerHubPassword: cryptoService.decrypt(project.config.dockerHubPassword, masterPassword),
-      sshHost: project.config.sshHost,
-      sshUser: project.config.sshUser,
-      sshPassword: project.config.sshPassword ? cryptoService.decrypt(project.config.sshPassword, masterPassword) : '',
-      sshPrivateKey: project.config.sshPrivateKey ? cryptoService.decrypt(project.config.sshPrivateKey, masterPassword) : '',
-      sshPassphrase: project.config.sshPassphrase ? cryptoService.decrypt(project.config.sshPassphrase, masterPassword) : '',
-      containerName: project.config.containerName,
-      hostPort: project.config.hostPort,
-      containerPort: project.config.containerPort,
-      envVars: project.config.envVars,
-      useEnvFile: project.config.useEnvFile,
-      volumes: project.config.volumes
-    };
+    await db.replaceProjectConfigs(updates);
+    for (const update of updates) {
+      await recordAudit(req, 'project.rotate_key', { projectId: update.id, details: { name: update.project.name, bulk: true, revisions: update.revisions.length, skippedRevisions: update.skippedRevisions } });
+    }
 
     res.json({
-      id: project.id,
-      name: project.name,
-      config: decryptedConfig
+      rotated: updates.map(update => ({ id: update.id, name: update.project.name, skippedRevisions: update.skippedRevisions })),
+      skipped,
+      message: `Master password changed for ${updates.length} project(s)`
     });
   } catch (error) {
-    res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    res.status(500).json({ error: `Failed to change master password: ${error.message}` });
   }
 });
 
-// Delete project
-app.delete('/api/projects/:id', async (req, res) => {
+// Re-encrypt one project's credentials with a new master password (admin only)
+app.post('/api/projects/:id/rotate-key', requireAdmin, async (req, res) => {
+  const { oldPassword, newPassword } = req.body;
+
+  const passwordError = validateNewMasterPassword(oldPassword, newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.keyMode === 'server') {
+      return res.status(400).json({ error: 'Project uses a server-managed key and has no master password' });
+    }
+
+    let update;
+    try {
+      update = await reencryptProject(project, oldPassword, newPassword);
+    } catch (error) {
+      await recordAudit(req, 'project.decrypt_failed', { projectId: project.id, details: { name: project.name, purpose: 'rotate_key' } });
+      return res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    }
+
+    await db.replaceProjectConfigs([update]);
+    await recordAudit(req, 'project.rotate_key', { projectId: project.id, details: { name: project.name, revisions: update.revisions.length, skippedRevisions: update.skippedRevisions } });
+
+    res.json({ id: project.id, skippedRevisions: update.skippedRevisions, message: 'Master password changed' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to change master password: ${error.message}` });
+  }
+});
+
+// Switch a project between the master password and a server-managed data key (admin only).
+// masterPassword is the current password when switching to 'server' and the new one when
+// switching to 'password'. The current config and every revision that decrypts with the
+// current key are re-encrypted in one transaction; the others are listed in skippedRevisions.
+app.post('/api/projects/:id/key-mode', requireAdmin, async (req, res) => {
+  const { keyMode, masterPassword } = req.body;
+
+  if (!keys.KEY_MODES.includes(keyMode)) {
+    return res.status(400).json({ error: `Invalid keyMode: ${keyMode} (expected ${keys.KEY_MODES.join(', ')})` });
+  }
+
+  if (!masterPassword) {
+    return res.status(400).json({ error: 'Master password required' });
+  }
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.keyMode === keyMode) {
+      return res.status(400).json({ error: `Project already uses the ${keyMode} key mode` });
+    }
+
+    if (keyMode === 'server' && !keys.isServerKeyAvailable()) {
+      return res.status(400).json({ error: 'Server-managed keys require ENCRYPTION_KEY or ENCRYPTION_KEY_FILE to be set on the server' });
+    }
+
+    const oldKey = getProjectKey(project, masterPassword);
+    const newKey = keyMode === 'server' ? keys.generateDataKey() : masterPassword;
+
+    let update;
+    try {
+      update = await reencryptProject(project, oldKey, newKey);
+    } catch (error) {
+      await recordAudit(req, 'project.decrypt_failed', { projectId: project.id, details: { name: project.name, purpose: 'key_mode' } });
+      return res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    }
+
+    await db.replaceProjectConfigs([{ ...update, keyMode, wrappedKey: keyMode === 'server' ? keys.wrapDataKey(newKey) : null }]);
+    await recordAudit(req, 'project.key_mode', { projectId: project.id, details: { name: project.name, keyMode, revisions: update.revisions.length, skippedRevisions: update.skippedRevisions } });
+
+    res.json({
+      id: project.id,
+      keyMode,
+      skippedRevisions: update.skippedRevisions,
+      message: keyMode === 'server' ? 'Project can now be deployed without the master password' : 'Project is now encrypted with the master password'
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to change key mode: ${error.message}` });
+  }
+});
+
+// Get project by ID and decrypt. Projects with a server-managed key need no master password.
+app.post('/api/projects/:id/decrypt', async (req, res) => {
+  const { masterPassword } = req.body;
+
+  if (!requireProjectAccess(req, res, parseInt(req.params.id))) return;
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.keyMode !== 'server' && !masterPassword) {
+      return res.status(400).json({ error: 'Master password required' });
+    }
+    const key = getProjectKey(project, masterPassword);
+
+    // Decrypt sensitive fields
+    let decryptedConfig;
+    try {
+      decryptedConfig = projectsService.decryptConfig(project.config, key);
+    } catch (error) {
+      await recordAudit(req, 'project.decrypt_failed', { projectId: project.id, details: { name: project.name } });
+      return res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    }
+
+    await recordAudit(req, 'project.decrypt', { projectId: project.id, details: { name: project.name } });
+    res.json({
+      id: project.id,
+      name: project.name,
+      keyMode: project.keyMode,
+      // The server decrypts server-managed projects itself when they are saved or deployed,
+      // so their secrets never leave it
+      config: project.keyMode === 'server' ? projectsService.hideSecrets(decryptedConfig) : decryptedConfig
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to decrypt project: ${error.message}` });
+  }
+});
+
+// Image currently deployed to each of a project's environments (no decryption needed)
+app.get('/api/projects/:id/environments', async (req, res) => {
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const environments = await Promise.all((project.config.environments || []).map(async (environment) => {
+      const job = await db.getLatestEnvironmentJob(project.id, environment.name);
+      return {
+        name: environment.name,
+        nextEnvironment: getNextEnvironment(project.config, environment.name),
+        current: job ? {
+          jobId: job.id,
+          image: registry.getImageName(job.config),
+          imageTag: job.config.imageTag,
+          deployedAt: job.createdAt
+        } : null
+      };
+    }));
+
+    res.json(environments);
+  } catch (error) {
+    res.status(500).json({ error: `Failed to fetch environments: ${error.message}` });
+  }
+});
+
+// Saved revisions of a project, newest first (no configs)
+app.get('/api/projects/:id/revisions', async (req, res) => {
+  if (!requireProjectAccess(req, res, parseInt(req.params.id))) return;
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ current: project.revision, revisions: await db.getProjectRevisions(project.id) });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to fetch revisions: ${error.message}` });
+  }
+});
+
+// Changes between two revisions (?from=2&to=5, to defaults to the current revision).
+// Secrets are only reported as added, removed or changed.
+app.get('/api/projects/:id/revisions/diff', async (req, res) => {
+  if (!requireProjectAccess(req, res, parseInt(req.params.id))) return;
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const fromRevision = parseInt(req.query.from);
+    const toRevision = parseInt(req.query.to) || project.revision;
+    const [from, to] = await Promise.all([
+      fromRevision ? db.getProjectRevision(project.id, fromRevision) : null,
+      db.getProjectRevision(project.id, toRevision)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: `Revision ${!from ? req.query.from || '(missing)' : toRevision} not found` });
+    }
+
+    res.json({ from: from.revision, to: to.revision, changes: projectsService.diffRevisions(from, to) });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to diff revisions: ${error.message}` });
+  }
+});
+
+// Save an older revision's config as a new revision. The master password (or the project's
+// server-managed key) must decrypt it.
+app.post('/api/projects/:id/revisions/:revision/restore', requireAdmin, async (req, res) => {
+  const { masterPassword } = req.body;
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.keyMode !== 'server' && !masterPassword) {
+      return res.status(400).json({ error: 'Master password required' });
+    }
+    const key = getProjectKey(project, masterPassword);
+
+    const restored = await db.getProjectRevision(project.id, parseInt(req.params.revision));
+    if (!restored) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let config;
+    try {
+      config = projectsService.decryptConfig(restored.config, key);
+    } catch (error) {
+      await recordAudit(req, 'project.decrypt_failed', { projectId: project.id, details: { name: project.name, purpose: 'restore', revision: restored.revision } });
+      return res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    }
+
+    const revision = await saveProjectRevision(req, project, restored.name, config, key, restored.revision);
+    res.json({ id: project.id, revision, message: `Revision ${restored.revision} restored as revision ${revision}` });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to restore revision: ${error.message}` });
+  }
+});
+
+// Deploy the image running in one environment to the next one without rebuilding
+app.post('/api/projects/:id/promote', async (req, res) => {
+  const { fromEnvironment, toEnvironment, masterPassword } = req.body;
+
+  if (!fromEnvironment) {
+    return res.status(400).json({ error: 'Missing required field: fromEnvironment' });
+  }
+
+  if (!requireProjectAccess(req, res, parseInt(req.params.id))) return;
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.keyMode !== 'server' && !masterPassword) {
+      return res.status(400).json({ error: 'Master password required' });
+    }
+    const key = getProjectKey(project, masterPassword);
+
+    let config;
+    try {
+      config = projectsService.decryptConfig(project.config, key);
+    } catch (error) {
+      await recordAudit(req, 'project.decrypt_failed', { projectId: project.id, details: { name: project.name, purpose: 'promote' } });
+      return res.status(400).json({ error: 'Decryption failed. Invalid master password or corrupted data.' });
+    }
+
+    const targetEnvironment = toEnvironment || getNextEnvironment(config, fromEnvironment);
+    if (!targetEnvironment) {
+      return res.status(400).json({ error: `No environment to promote ${fromEnvironment} to` });
+    }
+
+    const sourceJob = await db.getLatestEnvironmentJob(project.id, fromEnvironment);
+    if (!sourceJob) {
+      return res.status(400).json({ error: `Nothing has been deployed to ${fromEnvironment} yet` });
+    }
+
+    // Exact image from the source environment, deploy settings from the target environment
+    const { registryHost, registryNamespace, dockerHubUsername, imageName, imageTag } = sourceJob.config;
+    let payload;
+    try {
+      payload = { ...applyEnvironment(config, targetEnvironment), projectId: project.id, projectRevision: project.revision, createdBy: req.user.username, registryHost, registryNamespace, dockerHubUsername, imageName, imageTag, skipBuild: true };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!payload.sshHost || !payload.sshUser || !payload.containerName || (!payload.sshPassword && !payload.sshPrivateKey)) {
+      return res.status(400).json({ error: `Environment ${targetEnvironment} is missing SSH host, user, credentials or container name` });
+    }
+
+    const settingsError = validateDeploySettings(payload);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const targetsError = validateJobTargets(payload) || validateJobSecrets(payload);
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+
+    const jobId = await queueJob(getJobConfig(payload), payload, `Promotion of ${registry.getImageName(sourceJob.config)} from ${fromEnvironment} (job #${sourceJob.id}) to ${targetEnvironment} queued`, 'promote', sourceJob.id);
+    await recordAudit(req, 'job.promote', { projectId: project.id, jobId, details: { ...getJobAuditDetails(payload), fromEnvironment, sourceJobId: sourceJob.id } });
+
+    res.json({ jobId, message: `Promotion to ${targetEnvironment} queued` });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to promote: ${error.message}` });
+  }
+});
+
+// Deploy a saved project with a server-managed key without the master password, e.g. from a
+// scheduler or script with an API token. The stored config supplies everything; the body may
+// pick an environment and override the image tag and Git ref.
+app.post('/api/projects/:id/deploy', async (req, res) => {
+  const { environment, imageTag, repoRef } = req.body;
+
+  if (!requireProjectAccess(req, res, parseInt(req.params.id))) return;
+
+  try {
+    const project = await db.getProject(parseInt(req.params.id));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.keyMode !== 'server') {
+      return res.status(400).json({ error: 'Project is encrypted with the master password; deploy it with /api/deploy or switch it to a server-managed key' });
+    }
+
+    const config = projectsService.decryptConfig(project.config, getProjectKey(project));
+
+    let payload;
+    try {
+      payload = { ...applyEnvironment(config, environment), projectId: project.id, projectRevision: project.revision, createdBy: req.user.username };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (imageTag) {
+      payload.imageTag = imageTag;
+    }
+    if (repoRef) {
+      payload.repoRef = repoRef;
+    }
+
+    if ((!payload.projectPath && !payload.repoUrl) || !payload.imageName || !payload.imageTag || !hasDeployFields(payload)) {
+      return res.status(400).json({ error: 'Project is missing required deploy fields or credentials' });
+    }
+
+    const registryError = registry.validateRegistry(payload);
+    if (registryError) {
+      return res.status(400).json({ error: registryError });
+    }
+
+    // Projects saved before these checks existed may still hold invalid settings
+    const settingsError = validateDeploySettings(payload);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const targetsError = validateJobTargets(payload) || validateJobSecrets(payload);
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+
+    const jobId = await queueJob(getJobConfig(payload), payload, payload.environment ? `Job queued for environment ${payload.environment}` : 'Job queued');
+    await recordAudit(req, 'job.deploy', { projectId: project.id, jobId, details: getJobAuditDetails(payload) });
+
+    res.json({ jobId, message: 'Deployment queued' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to deploy project: ${error.message}` });
+  }
+});
+
+// Push webhook from GitHub, GitLab or Gitea. Runs unattended, so the server decrypts the
+// project with its server-managed key, or with MASTER_PASSWORD from the environment.
+app.post('/api/hooks/:projectId', async (req, res) => {
+  const provider = webhooks.getProvider(req.headers);
+  if (!provider) {
+    return res.status(400).json({ error: 'Unsupported webhook: expected a GitHub, GitLab or Gitea event' });
+  }
+
+  try {
+    const project = await db.getProject(parseInt(req.params.projectId));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!project.config.webhookSecret) {
+      return res.status(403).json({ error: 'Webhooks are not enabled for this project' });
+    }
+
+    if (project.keyMode !== 'server' && !process.env.MASTER_PASSWORD) {
+      return res.status(503).json({ error: 'Webhooks require MASTER_PASSWORD to be set on the server, or a server-managed project key' });
+    }
+
+    let key;
+    let webhookSecret;
+    try {
+      key = getProjectKey(project, process.env.MASTER_PASSWORD);
+      webhookSecret = projectsService.decryptSecret(project.config, 'webhookSecret', key);
+    } catch (error) {
+      return res.status(500).json({ error: project.keyMode === 'server' ? `Failed to decrypt project with the server-managed key: ${error.message}` : 'Failed to decrypt project with MASTER_PASSWORD' });
+    }
+
+    if (!webhooks.verifySignature(provider, req.headers, req.rawBody, webhookSecret)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    // Acknowledge pings and other events so the Git host does not report failures
+    if (!webhooks.isPushEvent(provider, req.headers)) {
+      return res.json({ message: 'Event ignored' });
+    }
+
+    const push = webhooks.parsePush(req.body);
+    if (!push) {
+      return res.json({ message: 'Push ignored: no branch or tag was updated' });
+    }
+
+    const refName = push.branch ? `branch ${push.branch}` : `tag ${push.tag}`;
+    const match = webhooks.matchPush(project.config.webhookBranches, push);
+    if (!match) {
+      return res.json({ message: `Push ignored: no deploy configured for ${refName}` });
+    }
+
+    let payload;
+    try {
+      const config = projectsService.decryptConfig(project.config, key);
+      payload = {
+        ...applyEnvironment(config, match.environment),
+        projectId: project.id,
+        projectRevision: project.revision,
+        createdBy: 'webhook',
+        imageTag: webhooks.getImageTag(push),
+        gitRef: push.ref,
+        gitCommit: push.commit
+      };
+      // Build exactly the pushed commit when the project builds from its Git repository
+      if (payload.repoUrl) {
+        payload.repoRef = push.commit;
+      }
+    } catch (error) {
+      return res.status(500).json({ error: `Failed to prepare deployment: ${error.message}` });
+    }
+
+    if ((!payload.projectPath && !payload.repoUrl) || !payload.imageName || !hasDeployFields(payload)) {
+      return res.status(400).json({ error: 'Project is missing required deploy fields or credentials' });
+    }
+
+    const registryError = registry.validateRegistry(payload);
+    if (registryError) {
+      return res.status(400).json({ error: registryError });
+    }
+
+    // Projects saved before these checks existed may still hold invalid settings
+    const settingsError = validateDeploySettings(payload);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const targetsError = validateJobTargets(payload) || validateJobSecrets(payload);
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+
+    const jobId = await queueJob(getJobConfig(payload), payload, `Webhook: ${provider} push of ${push.commit.substring(0, 7)} to ${refName}${payload.environment ? ` queued for environment ${payload.environment}` : ' queued'}`);
+    await recordAudit(req, 'job.deploy', { username: 'webhook', projectId: project.id, jobId, details: { ...getJobAuditDetails(payload), provider, ref: push.ref, commit: push.commit } });
+
+    res.json({ jobId, message: 'Deployment queued' });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to handle webhook: ${error.message}` });
+  }
+});
+
+// Delete project
+app.delete('/api/projects/:id', requireAdmin, async (req, res) => {
   try {
     const project = await db.getProject(parseInt(req.params.id));
 
@@ -216,15 +1246,70 @@ app.delete('/api/projects/:id', async (req, res) => {
     }
 
     await db.deleteProject(parseInt(req.params.id));
+    // Stored secrets are still encrypted here, so the diff only marks them as removed
+    await recordAudit(req, 'project.delete', { projectId: project.id, details: { name: project.name, changes: projectsService.diffConfigs(project.config, null) } });
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: `Failed to delete project: ${error.message}` });
   }
 });
 
+// Audit log (admin only). ?format=csv or ?format=json downloads up to 10000 events.
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  const { format } = req.query;
+  const { filters, error } = audit.parseFilters(req.query, !!format);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const events = await db.getAuditEvents(filters);
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+      return res.type('text/csv').send(audit.toCsv(events));
+    }
+    if (format === 'json') {
+      res.set('Content-Disposition', 'attachment; filename="audit-log.json"');
+    }
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ error: `Failed to fetch audit log: ${error.message}` });
+  }
+});
+
 // Image Tag History API Routes
 
-// Get tag history for a specific image
+// Get tag history for an image repository, e.g. ?repository=registry.example.com:5000/team/my-app
+app.get('/api/tags', async (req, res) => {
+  if (!req.query.repository) {
+    return res.status(400).json({ error: 'Missing required query parameter: repository' });
+  }
+
+  try {
+    const tags = await db.getImageTags(req.query.repository);
+    res.json(tags);
+  } catch (error) {
+    res.status(500).json({ error: `Failed to fetch tags: ${error.message}` });
+  }
+});
+
+// Check if a tag exists for an image repository
+app.get('/api/tags/exists', async (req, res) => {
+  const { repository, tag } = req.query;
+  if (!repository || !tag) {
+    return res.status(400).json({ error: 'Missing required query parameters: repository, tag' });
+  }
+
+  try {
+    const exists = await db.tagExists(repository, tag);
+    res.json({ exists, tag, image: repository });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to check tag: ${error.message}` });
+  }
+});
+
+// Get tag history for a specific Docker Hub image
 app.get('/api/tags/:username/:imageName', async (req, res) => {
   try {
     const imageKey = `${req.params.username}/${req.params.imageName}`;
@@ -248,71 +1333,552 @@ app.get('/api/tags/:username/:imageName/:tag/exists', async (req, res) => {
 
 // Deployment function
 async function runDeployment(jobId, config) {
-  const { projectPath, dockerfileName, contextPath, imageName, imageTag, dockerHubUsername, dockerHubPassword, sshHost, sshUser, sshPassword, sshPrivateKey, sshPassphrase, containerName, hostPort, containerPort, buildPlatform, envVars, useEnvFile, volumes } = config;
-  const fullImageName = `${dockerHubUsername}/${imageName}:${imageTag}`;
+  const { projectPath, repoUrl, repoRef, repoSubmodules, repoDeployKey, dockerfileName, contextPath, imageTag, buildPlatform, deployMode, alternatePort, healthCheckPath, healthCheck, composeTemplate, containerOptions, buildOptions, pipeline, targetStrategy, batchSize, skipBuild, skipTagHistory, environment } = config;
+  const fullImageName = registry.getImageName(config);
+  const registryAuth = registry.getRegistryAuth(config);
+  // Several platforms are built and pushed one by one, then combined into a manifest list
+  const platforms = skipBuild ? [] : getPlatforms(buildPlatform);
+  const multiPlatform = platforms.length > 1;
+  const pushing = isPushEnabled(config);
+  const deploying = isDeployEnabled(config);
 
   // Get active job from memory
   const job = activeJobs.get(jobId);
   if (!job) return;
 
+  const { signal } = job.abortController;
+
   try {
-    job.status = 'running';
-    await updateJobInDB(jobId, job.status, job.logs);
+    checkCancelled(signal);
+    await setJobStatus(jobId, 'running');
 
-    // Step 1: Build Docker image
-    addLog(jobId, 'Building Docker image...');
-    await dockerService.buildImage(projectPath, fullImageName, buildPlatform, dockerfileName, contextPath, (log) => addLog(jobId, log));
-    addLog(jobId, `Successfully built image: ${fullImageName}`);
+    if (skipBuild) {
+      // Rollbacks and promotions redeploy an image that is already in the registry
+      addLog(jobId, `Skipping build and push, using existing image: ${fullImageName}`);
+    } else {
+      // Step 1: Build Docker image, from a fresh checkout when the project uses a Git repository
+      await runStep(jobId, 'build', async () => {
+        let source = null;
+        let revision = null;
+        if (repoUrl) {
+          source = await gitService.checkoutRepository(jobId, repoUrl, repoRef, { submodules: repoSubmodules, deployKey: repoDeployKey }, (log) => addLog(jobId, log), signal);
+          revision = source.commit;
+        } else {
+          // Local project paths that are Git checkouts are labelled with their HEAD commit
+          const local = await gitService.getLocalRevision(projectPath, signal);
+          if (local) {
+            revision = local.commit;
+            addLog(jobId, `Project path is a Git checkout at commit ${local.commit}${local.modified ? ' (with uncommitted changes)' : ''}`);
+          }
+        }
 
-    // Step 2: Push to Docker Hub
-    addLog(jobId, 'Pushing image to Docker Hub...');
-    await dockerService.pushImage(fullImageName, dockerHubUsername, dockerHubPassword, (log) => addLog(jobId, log));
-    addLog(jobId, 'Successfully pushed image to Docker Hub');
+        try {
+          const build = getBuildOptions(buildOptions, { secrets: config.secrets, jobId, revision });
+          build.summary.forEach(line => addLog(jobId, line));
 
-    // Step 3: Deploy to server via SSH
-    addLog(jobId, `Connecting to server ${sshHost}...`);
-    await sshService.deployContainer(sshHost, sshUser, sshPassword, fullImageName, containerName, hostPort, containerPort, sshPrivateKey, sshPassphrase, envVars, useEnvFile, volumes, (log) => addLog(jobId, log));
-    addLog(jobId, 'Deployment completed successfully!');
+          if (multiPlatform) {
+            addLog(jobId, `Building Docker image for ${platforms.length} platforms: ${platforms.join(', ')}`);
+            for (const platform of platforms) {
+              checkCancelled(signal);
+              addLog(jobId, `[${platform}] Building ${registry.getPlatformImageName(config, platform)}...`);
+              await dockerService.buildImage(source ? source.path : projectPath, registry.getPlatformImageName(config, platform), platform, dockerfileName, contextPath, build.options, (log) => addLog(jobId, `[${platform}] ${log}`), signal);
+            }
+          } else {
+            addLog(jobId, 'Building Docker image...');
+            await dockerService.buildImage(source ? source.path : projectPath, fullImageName, platforms[0], dockerfileName, contextPath, build.options, (log) => addLog(jobId, log), signal);
+          }
+        } finally {
+          if (source) {
+            await source.cleanup();
+          }
+        }
+        addLog(jobId, `Successfully built image: ${fullImageName}`);
+      });
 
-    job.status = 'completed';
-    await updateJobInDB(jobId, job.status, job.logs);
+      // Step 2: Pipeline steps run in a temporary container from the built image (from each
+      // platform's image for multi-platform builds); the first failing step stops the job
+      for (const step of getTestSteps(pipeline)) {
+        checkCancelled(signal);
+        await runStep(jobId, step.name, async () => {
+          for (const platform of (multiPlatform ? platforms : [null])) {
+            checkCancelled(signal);
+            const prefix = platform ? `[${platform}] ` : '';
+            const imageName = platform ? registry.getPlatformImageName(config, platform) : fullImageName;
+            addLog(jobId, `${prefix}Running ${step.name}: ${step.command}`);
+            try {
+              await dockerService.runTestContainer(imageName, step.command, step.timeout, (log) => addLog(jobId, prefix + log), signal);
+            } catch (error) {
+              throw signal.aborted ? error : new Error(`${prefix}Step ${step.name} failed: ${error.message}`);
+            }
+          }
+          addLog(jobId, `Step ${step.name} passed`);
+        });
+      }
 
-    // Record tag in history
-    const imageKey = `${dockerHubUsername}/${imageName}`;
-    await db.addImageTag(imageKey, imageTag, jobId);
+      // Step 3: Vulnerability scan, which stops the job before the push when findings exceed the threshold
+      if (scanService.isScanEnabled(config)) {
+        checkCancelled(signal);
+        await runStep(jobId, 'scan', () => scanImages(jobId, config, multiPlatform ? platforms : [null], signal));
+      }
 
-    // Remove from active jobs
-    activeJobs.delete(jobId);
+      // Step 4: Push to the registry
+      if (pushing) {
+        checkCancelled(signal);
+        await runStep(jobId, 'push', async () => {
+          addLog(jobId, `Pushing image to ${registry.getRegistryName(config)}...`);
+          if (multiPlatform) {
+            for (const platform of platforms) {
+              checkCancelled(signal);
+              await dockerService.pushImage(registry.getPlatformImageName(config, platform), registryAuth, (log) => addLog(jobId, `[${platform}] ${log}`), signal);
+              addLog(jobId, `[${platform}] Pushed ${registry.getPlatformImageName(config, platform)}`);
+            }
+            checkCancelled(signal);
+            await dockerService.createManifestList(fullImageName, platforms.map(platform => registry.getPlatformImageName(config, platform)), registryAuth, (log) => addLog(jobId, log), signal);
+          } else {
+            await dockerService.pushImage(fullImageName, registryAuth, (log) => addLog(jobId, log), signal);
+          }
+          addLog(jobId, `Successfully pushed image to ${registry.getRegistryName(config)}`);
+        });
+      } else {
+        addLog(jobId, 'Skipping push: the pipeline keeps the image on the build server');
+      }
+    }
+
+    if (deploying) {
+      // Step 5: Deploy to every target via SSH, all at once or in rolling batches
+      checkCancelled(signal);
+      await runStep(jobId, 'deploy', async () => {
+        // Secrets are put into the env vars only now, jobs.config keeps the ${secret:name} placeholders
+        const targets = resolveTargets(config).map(target => ({ ...target, envVars: secretsService.resolveSecrets(target.envVars, config.secrets) }));
+        const batches = getBatches(targets, targetStrategy, batchSize);
+        const deployOptions = { deployMode, alternatePort, healthCheckPath, healthCheck, registryAuth, composeTemplate, containerOptions };
+
+        for (const [batchIndex, batch] of batches.entries()) {
+          checkCancelled(signal);
+          if (batches.length > 1) {
+            addLog(jobId, `Deploying batch ${batchIndex + 1}/${batches.length}: ${batch.map(target => target.label).join(', ')}`);
+          }
+
+          const results = await Promise.allSettled(batch.map(target => deployToTarget(jobId, targets.indexOf(target), target, fullImageName, deployOptions, signal)));
+          const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+          if (targets.length === 1 && failures.length === 1) {
+            throw failures[0];
+          }
+          if (failures.length > 0) {
+            throw new Error(`Deployment failed on ${failures.length} target(s)`);
+          }
+        }
+      });
+
+      checkCancelled(signal);
+      addLog(jobId, 'Deployment completed successfully!');
+    } else {
+      checkCancelled(signal);
+      addLog(jobId, 'Pipeline completed successfully, nothing deployed');
+    }
+
+    // Record pushed and deployed tags in history (rollbacks restore a tag that is already recorded).
+    // Build-only jobs record the tag without an environment.
+    if (!skipTagHistory && (skipBuild || pushing)) {
+      await db.addImageTag(registry.getImageRepository(config), imageTag, jobId, deploying ? environment : null, platforms);
+    }
+
+    await setJobStatus(jobId, 'completed');
   } catch (error) {
+    if (signal.aborted) {
+      addLog(jobId, 'Deployment cancelled');
+      await setJobStatus(jobId, 'cancelled');
+      return;
+    }
     addLog(jobId, `ERROR: ${error.message}`);
-    job.status = 'failed';
-    await updateJobInDB(jobId, job.status, job.logs);
-    activeJobs.delete(jobId);
+    await setJobStatus(jobId, 'failed');
+  }
+}
+
+// Scan the built image (each platform's image for multi-platform builds), store the result on the
+// job and fail when findings exceed the project's threshold
+async function scanImages(jobId, config, platforms, signal) {
+  const { scan } = config;
+  const timeout = parseInt(scan.timeout, 10) || scanService.DEFAULT_SCAN_TIMEOUT;
+  const reports = [];
+
+  for (const platform of platforms) {
+    checkCancelled(signal);
+    const prefix = platform ? `[${platform}] ` : '';
+    const imageName = platform ? registry.getPlatformImageName(config, platform) : registry.getImageName(config);
+    addLog(jobId, `${prefix}Scanning ${imageName} with ${scan.scanner} (${scan.image})...`);
+    const container = scanService.getScannerContainer(scan, imageName, dockerService.getDockerSocket());
+    const report = await dockerService.runScanner(container, timeout, (log) => addLog(jobId, prefix + log), signal);
+    reports.push({ platform, findings: scanService.parseReport(scan.scanner, report) });
+  }
+
+  const result = scanService.getScanResult(scan, reports);
+  await db.setJobScan(jobId, result);
+  broadcast(jobId, 'scan', result);
+
+  addLog(jobId, `Vulnerabilities: ${scanService.formatSummary(result.summary)}`);
+  if (!result.passed) {
+    throw new Error(`Vulnerability scan failed: ${result.violations.join(', ')} findings at or above the ${result.failOn} threshold`);
+  }
+  addLog(jobId, result.failOn ? `Vulnerability scan passed the ${result.failOn} threshold` : 'Vulnerability scan completed (no threshold set)');
+}
+
+// Deploy to one target, tracking its own status and prefixing its log lines when the job has several targets
+async function deployToTarget(jobId, index, target, fullImageName, deployOptions, signal) {
+  const job = activeJobs.get(jobId);
+  const prefix = job.targets.length > 1 ? `[${target.label}] ` : '';
+  const log = (message) => {
+    String(message).split('\n').filter(line => line.trim() !== '').forEach(line => addLog(jobId, prefix + line));
+  };
+
+  await setTargetStatus(jobId, index, 'running');
+
+  try {
+    log(`Connecting to server ${target.sshHost}...`);
+    await sshService.deployContainer(target.sshHost, target.sshUser, target.sshPassword, fullImageName, target.containerName, target.hostPort, target.containerPort, target.sshPrivateKey, target.sshPassphrase, target.envVars, target.useEnvFile, target.volumes, deployOptions, log, signal);
+    await setTargetStatus(jobId, index, 'completed');
+  } catch (error) {
+    if (job.targets.length > 1 && !signal.aborted) {
+      log(`ERROR: ${error.message}`);
+    }
+    await setTargetStatus(jobId, index, signal.aborted ? 'cancelled' : 'failed');
+    throw error;
+  }
+}
+
+// Returns an error message for invalid deploy mode, container, health check, build, pipeline
+// or scan settings of a job or saved project, or null
+function validateDeploySettings(config) {
+  const { hostPort, containerPort, alternatePort, deployMode, composeTemplate, healthCheck } = config;
+
+  // Blue/green proxies the host port to two containers on the alternate port and the one after it
+  if (deployMode === 'bluegreen') {
+    const slotPort = parseInt(alternatePort, 10);
+    if (!hostPort || !containerPort) {
+      return 'Blue/green deploys require a host port and a container port';
+    }
+    if (!(slotPort >= 1 && slotPort < 65535) || [slotPort, slotPort + 1].includes(parseInt(hostPort, 10))) {
+      return 'Blue/green deploys require an alternate host port (it and the next port are used by the two containers) different from the host port';
+    }
+  }
+
+  if (deployMode === 'compose') {
+    if (!composeTemplate || (!composeTemplate.includes('{{IMAGE}}') && !composeTemplate.includes('{{IMAGE_TAG}}'))) {
+      return 'Compose deploys require a docker-compose.yml template that uses {{IMAGE}} or {{IMAGE_TAG}}';
+    }
+    if (healthCheck && healthCheck.type) {
+      return 'Post-deploy health checks are not supported for compose deploys';
+    }
+  }
+
+  return validateContainerOptions(config.containerOptions, deployMode) ||
+    validateHealthCheck(healthCheck) ||
+    validatePlatforms(config.buildPlatform) ||
+    validateBuildOptions(config.buildOptions) ||
+    validatePipeline(config.pipeline) ||
+    scanService.validateScan(config.scan);
+}
+
+// Returns an error message for an invalid post-deploy health check, or null
+function validateHealthCheck(healthCheck) {
+  if (!healthCheck || !healthCheck.type) return null;
+
+  const { type, url, port, expectedStatus, timeout, retries } = healthCheck;
+
+  if (!['http', 'tcp', 'docker'].includes(type)) {
+    return `Invalid health check type: ${type}`;
+  }
+  if (type === 'http' && !/^https?:\/\//.test(url || '')) {
+    return 'HTTP health checks require a URL starting with http:// or https://';
+  }
+  if (type === 'tcp' && !isValidPort(port)) {
+    return 'TCP health checks require a valid port';
+  }
+  if (expectedStatus && !/^[1-5][0-9]{2}$/.test(String(expectedStatus))) {
+    return 'Health check expected status must be an HTTP status code';
+  }
+  if ((timeout && !(parseInt(timeout, 10) > 0)) || (retries && !(parseInt(retries, 10) > 0))) {
+    return 'Health check timeout and retries must be positive numbers';
+  }
+  return null;
+}
+
+function isValidPort(port) {
+  const value = Number(port);
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+function checkCancelled(signal) {
+  if (signal.aborted) {
+    throw new Error('Job cancelled');
   }
 }
 
 function addLog(jobId, message) {
   const job = activeJobs.get(jobId);
+  // Secret values never reach the logs, whichever command or error printed them
+  message = secretsService.maskSecrets(message, job && job.maskValues);
   if (job) {
-    job.logs.push(message);
+    // Store one entry per non-empty line so stream offsets match the logs persisted in the database
+    String(message).split('\n').filter(line => line.trim() !== '').forEach(line => {
+      job.logs.push(line);
+      broadcast(jobId, 'log', line, job.logs.length);
+    });
   }
   console.log(`[Job ${jobId}] ${message}`);
 }
 
-async function updateJobInDB(jobId, status, logs) {
+// Update job status in memory and database, notify stream subscribers,
+// and release the job from memory once it has finished
+async function setJobStatus(jobId, status) {
+  const job = activeJobs.get(jobId);
+  if (!job) return;
+
+  job.status = status;
+
+  // Targets and steps that never started are skipped once the job fails or is cancelled
+  if (TERMINAL_STATUSES.includes(status)) {
+    job.targets.forEach((target, index) => {
+      if (target.status === 'pending') {
+        target.status = 'skipped';
+        broadcast(jobId, 'target', { index, ...target });
+      }
+    });
+    job.steps.forEach((step, index) => {
+      if (step.status === 'pending') {
+        step.status = 'skipped';
+        broadcast(jobId, 'step', { index, ...step });
+      }
+    });
+  }
+
+  await updateJobInDB(jobId, job.status, job.logs, job.targets, job.steps);
+  broadcast(jobId, 'status', { status });
+
+  if (TERMINAL_STATUSES.includes(status)) {
+    broadcast(jobId, 'end', { status });
+    const streams = jobStreams.get(jobId);
+    if (streams) {
+      streams.forEach(res => res.end());
+      jobStreams.delete(jobId);
+    }
+    activeJobs.delete(jobId);
+  }
+}
+
+async function setTargetStatus(jobId, index, status) {
+  const job = activeJobs.get(jobId);
+  if (!job) return;
+
+  job.targets[index].status = status;
+  broadcast(jobId, 'target', { index, ...job.targets[index] });
+  await updateJobInDB(jobId, job.status, job.logs, job.targets, job.steps);
+}
+
+// Run fn as the named pipeline step, recording its status, timing and where its log lines start
+async function runStep(jobId, name, fn) {
+  const job = activeJobs.get(jobId);
+  const index = job.steps.findIndex(step => step.name === name);
+  const step = job.steps[index];
+
+  const update = async (changes) => {
+    Object.assign(step, changes);
+    broadcast(jobId, 'step', { index, ...step });
+    await updateJobInDB(jobId, job.status, job.logs, job.targets, job.steps);
+  };
+
+  await update({ status: 'running', startedAt: new Date().toISOString(), logStart: job.logs.length });
   try {
-    await db.updateJob(jobId, status, logs);
+    await fn();
+    await update({ status: 'completed', finishedAt: new Date().toISOString() });
+  } catch (error) {
+    await update({ status: job.abortController.signal.aborted ? 'cancelled' : 'failed', finishedAt: new Date().toISOString() });
+    throw error;
+  }
+}
+
+// Fields of a deploy request that differ from the saved project (secrets only with a server-managed key)
+function getUnsavedChanges(project, config) {
+  const serverKey = project.keyMode === 'server';
+  const saved = serverKey ? projectsService.decryptConfig(project.config, getProjectKey(project)) : project.config;
+  return projectsService.diffConfigs(saved, config)
+    .filter(change => serverKey || !change.secret)
+    .map(change => change.field)
+    .filter(field => !UNSAVED_CHANGES_IGNORED_FIELDS.includes(field.split(/[.[]/)[0]));
+}
+
+// What a job deploys, for the audit log
+function getJobAuditDetails(payload) {
+  return {
+    image: registry.getImageName(payload),
+    environment: payload.environment || null,
+    targets: getDeployTargets(payload).map(target => target.label)
+  };
+}
+
+// Save config (plain text) as the project's next revision and audit the change. key is from
+// getProjectKey. Secrets can only be compared when the current config decrypts with the same
+// key; otherwise every stored secret counts as changed. Returns the new revision number.
+async function saveProjectRevision(req, existingProject, name, config, key, restoredFrom) {
+  let before = null;
+  try {
+    before = projectsService.decryptConfig(existingProject.config, key);
+  } catch (error) {
+    // Saved with a different master password
+  }
+
+  const current = await db.getProjectRevision(existingProject.id, existingProject.revision);
+  const revision = existingProject.revision + 1;
+  const secretVersions = projectsService.getSecretVersions(before, config, current ? current.secretVersions : {}, revision);
+  await db.updateProject(existingProject.id, name, projectsService.encryptConfig(config, key), req.user.username, revision, secretVersions, restoredFrom);
+
+  const changes = projectsService.diffConfigs(before || existingProject.config, config);
+  if (existingProject.name !== name) {
+    changes.unshift({ field: 'name', change: 'changed', before: existingProject.name, after: name });
+  }
+  await recordAudit(req, restoredFrom ? 'project.restore' : 'project.update', {
+    projectId: existingProject.id,
+    details: { name, revision, restoredFrom, changes, secretsCompared: !!before }
+  });
+  return revision;
+}
+
+// Key that encrypts a project's credentials: its unwrapped data key for projects with a
+// server-managed key, otherwise the given master password. Throws if the data key cannot be unwrapped.
+function getProjectKey(project, masterPassword) {
+  return project.keyMode === 'server' ? keys.unwrapDataKey(project.wrappedKey) : masterPassword;
+}
+
+// Server-managed projects reach the browser without their secrets (see /api/projects/:id/decrypt):
+// put the saved values back for the placeholders in a config it sent. Placeholders in configs of
+// other or unsaved projects have nothing to restore and are rejected. Throws on failure.
+function restoreProjectSecrets(project, config) {
+  const savedConfig = project && project.keyMode === 'server' ? projectsService.decryptConfig(project.config, getProjectKey(project)) : {};
+  return projectsService.restoreSecrets(config, savedConfig);
+}
+
+function validateNewMasterPassword(oldPassword, newPassword) {
+  if (!oldPassword || !newPassword) {
+    return 'Missing required fields: oldPassword, newPassword';
+  }
+  if (oldPassword === newPassword) {
+    return 'The new master password must be different from the old one';
+  }
+  return null;
+}
+
+// Re-encrypt a project's current config and every revision the old key (master password or
+// data key) decrypts. Revisions saved with another key are left as they are and listed in
+// skippedRevisions. Throws if the old key does not decrypt the current config.
+async function reencryptProject(project, oldKey, newKey) {
+  const config = projectsService.reencryptConfig(project.config, oldKey, newKey);
+  const revisions = [];
+  const skippedRevisions = [];
+
+  for (const revision of await db.getProjectRevisionConfigs(project.id)) {
+    try {
+      revisions.push({ revision: revision.revision, config: projectsService.reencryptConfig(revision.config, oldKey, newKey) });
+    } catch (error) {
+      skippedRevisions.push(revision.revision);
+    }
+  }
+
+  return { id: project.id, revision: project.revision, config, revisions, skippedRevisions };
+}
+
+// Returns an error message if the env vars of any target, or the build args of a job that
+// builds, reference an unknown secret, or null
+function validateJobSecrets(payload) {
+  const texts = getDeployTargets(payload).map(target => target.envVars);
+  if (!payload.skipBuild) {
+    texts.push(getBuildArgsText(payload.buildOptions));
+  }
+  return secretsService.validateSecrets(payload.secrets, texts);
+}
+
+// Deploy targets of a job; build-only jobs have none
+function getDeployTargets(payload) {
+  return isDeployEnabled(payload) ? resolveTargets(payload) : [];
+}
+
+// Whether a job has the SSH fields and credentials its deploy needs
+function hasDeployFields(payload) {
+  return !isDeployEnabled(payload) || !!(payload.sshHost && payload.sshUser && payload.containerName && (payload.sshPassword || payload.sshPrivateKey));
+}
+
+// validateTargets for jobs that deploy
+function validateJobTargets(payload) {
+  return isDeployEnabled(payload) ? validateTargets(payload) : null;
+}
+
+// Job config stored in the jobs table: the deploy payload without any credentials.
+// Viewers can read it, so https credentials in the repository URL are masked too.
+function getJobConfig(payload) {
+  const { dockerHubPassword, sshPassword, sshPrivateKey, sshPassphrase, repoDeployKey, webhookSecret, webhookBranches, environments, targets, secrets, skipBuild, skipTagHistory, ...config } = payload;
+  return { ...config, repoUrl: config.repoUrl ? gitService.maskUrl(config.repoUrl) : config.repoUrl, targets: stripTargetSecrets(targets) };
+}
+
+// Create a job record, track it in memory and hand it to the queue
+async function queueJob(config, payload, queuedMessage, type = 'deploy', sourceJobId = null) {
+  const targets = getDeployTargets(payload).map(target => ({ label: target.label, status: 'pending' }));
+  const steps = getJobSteps(payload);
+  const jobId = await db.createJob(config, targets.map(target => target.label), targets, steps, type, sourceJobId);
+
+  // Store active job in memory for real-time updates
+  activeJobs.set(jobId, { status: 'pending', logs: [], targets, steps, abortController: new AbortController(), maskValues: secretsService.getMaskValues(payload.secrets) });
+  addLog(jobId, config.createdBy ? `${queuedMessage} by ${config.createdBy}` : queuedMessage);
+
+  // Run asynchronously once a slot and the targets are free
+  jobQueue.enqueue(jobId, payload);
+  return jobId;
+}
+
+function sendEvent(res, event, data, id) {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(jobId, event, data, id) {
+  const streams = jobStreams.get(jobId);
+  if (!streams) return;
+  streams.forEach(res => sendEvent(res, event, data, id));
+}
+
+async function updateJobInDB(jobId, status, logs, targets, steps) {
+  try {
+    await db.updateJob(jobId, status, logs, targets, steps);
   } catch (error) {
     console.error(`Failed to update job ${jobId} in database:`, error);
   }
 }
 
+// Credentials are never persisted, so jobs interrupted by a restart cannot be resumed
+async function recoverInterruptedJobs() {
+  const count = await db.failInterruptedJobs('ERROR: Job interrupted by server restart. Please start the deployment again.');
+  if (count > 0) {
+    console.log(`Marked ${count} interrupted job(s) as failed`);
+  }
+}
+
 // Initialize database and start server
 async function startServer() {
   try {
+    // Fail at startup on an invalid ENCRYPTION_KEY rather than on the first deploy
+    const serverKeys = !!keys.loadKek();
     await db.initializeDatabase();
+    await recoverInterruptedJobs();
+    jobQueue.setRunner(runDeployment);
+    const setupRequired = (await db.countUsers()) === 0;
     app.listen(PORT, () => {
       console.log(`CI/CD Server running on http://localhost:${PORT}`);
+      if (setupRequired) {
+        console.log('No users yet: open the web UI to create the first admin account');
+      }
+      if (serverKeys) {
+        console.log('Server-managed project keys enabled');
+      }
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -0,0 +1,58 @@
+// Audit log: who changed which project, who tried to decrypt it, and who started or
+// cancelled which job. Config changes are stored as a diff from projects.diffConfigs,
+// so secret values never reach the audit log.
+
+const ACTIONS = [
+  'project.create', 'project.update', 'project.restore', 'project.delete', 'project.rotate_key', 'project.key_mode',
+  'project.decrypt', 'project.decrypt_failed',
+  'job.deploy', 'job.rollback', 'job.promote', 'job.cancel'
+];
+
+const DEFAULT_LIMIT = 200;
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = ['id', 'createdAt', 'username', 'action', 'projectId', 'jobId', 'ipAddress', 'details'];
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+  const rows = events.map(event => CSV_COLUMNS.map(column => csvValue(event[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Returns { filters } for the audit query parameters, or { error }.
+// Exports return up to EXPORT_LIMIT events unless a smaller limit is given.
+function parseFilters(query, exporting) {
+  const { action, projectId, username, from, to, limit } = query;
+
+  if (action && !ACTIONS.includes(action)) {
+    return { error: `Unknown action: ${action}` };
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      return { error: `Invalid ${name} date: ${value}` };
+    }
+  }
+
+  return {
+    filters: {
+      action: action || null,
+      projectId: parseInt(projectId) || null,
+      username: username || null,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      limit: Math.min(Math.max(parseInt(limit) || (exporting ? EXPORT_LIMIT : DEFAULT_LIMIT), 1), EXPORT_LIMIT)
+    }
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  toCsv,
+  parseFilters
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// User accounts, login sessions and API tokens. Passwords are hashed with scrypt;
+// session and API tokens are random and only their SHA-256 hash is stored.
+//
+// Roles:
+//   viewer   - read-only access to jobs, projects and tag history
+//   deployer - viewer, plus deploy, roll back, promote and cancel jobs of assigned projects
+//   admin    - everything, including saving and deleting projects and managing users
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'deployer', 'admin'];
+const SESSION_COOKIE = 'cicd_session';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{1,100}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Stored as scrypt:salt:hash
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const parts = (passwordHash || '').split(':');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+
+  const expected = Buffer.from(parts[2], 'hex');
+  const actual = await scrypt(password || '', Buffer.from(parts[1], 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.substring(0, separator).trim() === name) {
+      return decodeURIComponent(part.substring(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+// Scripts send `Authorization: Bearer <api token>`, the web UI sends the session cookie
+function getRequestCredentials(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return { type: 'token', token: match[1] };
+  }
+  const session = getCookie(req, SESSION_COOKIE);
+  return session ? { type: 'session', token: session } : null;
+}
+
+function getSessionCookie(token, secure) {
+  const maxAge = token ? SESSION_MAX_AGE / 1000 : 0;
+  return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+}
+
+function getSessionExpiry() {
+  return new Date(Date.now() + SESSION_MAX_AGE);
+}
+
+function canAccessProject(user, projectId) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'deployer' && !!projectId && user.projectIds.includes(parseInt(projectId));
+}
+
+// Returns an error message for an invalid user, or null. The password is optional when updating.
+function validateUser({ username, password, role, projectIds }, isNew) {
+  if (isNew && !USERNAME_PATTERN.test(username || '')) {
+    return 'Username may only contain letters, numbers, "_", ".", "@" and "-"';
+  }
+
+  if ((isNew || password) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (!ROLES.includes(role)) {
+    return `Invalid role: ${role} (expected ${ROLES.join(', ')})`;
+  }
+
+  if (projectIds !== undefined && (!Array.isArray(projectIds) || projectIds.some(id => !Number.isInteger(id)))) {
+    return 'projectIds must be an array of project ids';
+  }
+
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  getRequestCredentials,
+  getSessionCookie,
+  getSessionExpiry,
+  canAccessProject,
+  validateUser
+};
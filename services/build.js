@@ -0,0 +1,120 @@
+// Image build settings stored in a project's buildOptions:
+// { buildArgs, target, noCache, pull, labels }
+// buildArgs and labels are one KEY=value per line, like envVars. Build arg values may
+// reference project secrets as ${secret:name}; they are resolved right before the build.
+
+const { resolveSecrets } = require('./secrets');
+const { LABEL_KEY_PATTERN, getLines } = require('./container');
+
+const BUILD_ARG_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// os/architecture[/variant], e.g. linux/amd64 or linux/arm/v7
+const PLATFORM_PATTERN = /^[a-z0-9]+\/[a-z0-9_]+(\/[a-z0-9]+)?$/;
+const TARGET_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Labels added to every image built by a job (https://github.com/opencontainers/image-spec/blob/main/annotations.md)
+const OCI_CREATED = 'org.opencontainers.image.created';
+const OCI_REVISION = 'org.opencontainers.image.revision';
+const JOB_ID_LABEL = 'simple-cicd.job-id';
+
+// { KEY: 'value' } for KEY=value lines; values keep any further "="
+function parseKeyValues(text) {
+  const result = {};
+  getLines(text).forEach(line => {
+    const separator = line.indexOf('=');
+    result[line.substring(0, separator)] = line.substring(separator + 1);
+  });
+  return result;
+}
+
+// buildPlatform holds one platform, or several separated by commas for a multi-platform image
+function getPlatforms(buildPlatform) {
+  return [...new Set((buildPlatform || '').split(',').map(platform => platform.trim()).filter(platform => platform))];
+}
+
+// Returns an error message for an invalid platform list, or null
+function validatePlatforms(buildPlatform) {
+  const invalid = getPlatforms(buildPlatform).find(platform => !PLATFORM_PATTERN.test(platform));
+  return invalid ? `Invalid build platform: ${invalid} (expected os/architecture, e.g. linux/amd64 or linux/arm64)` : null;
+}
+
+// Returns an error message for invalid build options, or null
+function validateBuildOptions(options) {
+  if (!options) return null;
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'buildOptions must be an object';
+  }
+
+  const { buildArgs, target, labels } = options;
+
+  for (const line of getLines(buildArgs)) {
+    if (!line.includes('=') || !BUILD_ARG_PATTERN.test(line.split('=')[0])) {
+      return `Invalid build argument: ${line.split('=')[0]} (expected NAME=value)`;
+    }
+  }
+
+  if (target && !TARGET_PATTERN.test(target)) {
+    return `Invalid build target: ${target} (the name of a stage in the Dockerfile)`;
+  }
+
+  for (const line of getLines(labels)) {
+    if (!line.includes('=') || !LABEL_KEY_PATTERN.test(line.split('=')[0])) {
+      return `Invalid label: ${line} (expected key=value)`;
+    }
+  }
+
+  return null;
+}
+
+// Build arg text to check for ${secret:name} references, like a target's env vars
+function getBuildArgsText(options) {
+  return (options && options.buildArgs) || '';
+}
+
+// dockerode build options for the project's settings, and a summary line per option for the job log.
+// secrets resolve the build args; revision is the built Git commit, or null when the source is not a Git checkout.
+// Project labels can override the automatic OCI labels.
+function getBuildOptions(options, { secrets, jobId, revision }) {
+  const { buildArgs, target, noCache, pull, labels } = options || {};
+  const result = {};
+  const summary = [];
+
+  const args = parseKeyValues(resolveSecrets(getLines(buildArgs).join('\n'), secrets));
+  if (Object.keys(args).length > 0) {
+    result.buildargs = args;
+    summary.push(`Build arguments: ${Object.keys(args).join(', ')}`);
+  }
+
+  if (target) {
+    result.target = target;
+    summary.push(`Build target: ${target}`);
+  }
+
+  if (noCache) {
+    result.nocache = true;
+    summary.push('Building without cache');
+  }
+
+  if (pull) {
+    result.pull = true;
+    summary.push('Pulling newer base images');
+  }
+
+  result.labels = {
+    [OCI_CREATED]: new Date().toISOString(),
+    ...(revision ? { [OCI_REVISION]: revision } : {}),
+    [JOB_ID_LABEL]: String(jobId),
+    ...parseKeyValues(labels)
+  };
+  summary.push(`Labels: ${Object.keys(result.labels).join(', ')}`);
+
+  return { options: result, summary };
+}
+
+module.exports = {
+  getPlatforms,
+  validatePlatforms,
+  validateBuildOptions,
+  getBuildArgsText,
+  getBuildOptions
+};
@@ -0,0 +1,200 @@
+// Structured `docker run` settings stored in a project's containerOptions:
+// { ports, restartPolicy, network, memory, cpus, labels, addHosts, entrypoint, command, logDriver, logOptions }
+// ports, labels, addHosts and logOptions are one entry per line, like envVars and volumes.
+
+const { splitArgs } = require('./shell');
+
+const CONTAINER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,254}$/;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+const PORT_PATTERN = /^(?:(\d{1,3}(?:\.\d{1,3}){3}):)?(\d{1,5}):(\d{1,5})(?:\/(tcp|udp|sctp))?$/;
+const RESTART_POLICY_PATTERN = /^(no|always|unless-stopped|on-failure(:\d+)?)$/;
+const NETWORK_PATTERN = /^(container:)?[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const MEMORY_PATTERN = /^\d+(\.\d+)?[bkmg]?$/i;
+const CPUS_PATTERN = /^\d+(\.\d+)?$/;
+const LABEL_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]*$/;
+const ADD_HOST_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.-]*:([0-9A-Fa-f.:]+|host-gateway)$/;
+const LOG_DRIVER_PATTERN = /^[a-z0-9_-]+$/;
+const LOG_OPTION_KEY_PATTERN = /^[a-z0-9_.-]+$/;
+
+function getLines(value) {
+  return (value || '').split('\n').map(line => line.trim()).filter(line => line);
+}
+
+function isPortNumber(value) {
+  const port = parseInt(value, 10);
+  return port >= 1 && port <= 65535;
+}
+
+// Docker's own rule for container names
+function validateContainerName(containerName) {
+  if (!CONTAINER_NAME_PATTERN.test(containerName || '')) {
+    return `Invalid container name: ${containerName} (letters, numbers, "_", "." and "-", starting with a letter or number)`;
+  }
+  return null;
+}
+
+// One KEY=value (or KEY to pass the server's value through) per line
+function validateEnvVars(envVars) {
+  for (const line of getLines(envVars)) {
+    if (!ENV_KEY_PATTERN.test(line.split('=')[0])) {
+      return `Invalid environment variable: ${line.split('=')[0]} (expected KEY=value)`;
+    }
+  }
+  return null;
+}
+
+// One source:target[:options] (or an anonymous /path) per line
+function validateVolumes(volumes) {
+  for (const line of getLines(volumes)) {
+    if (/[\x00-\x1f]/.test(line) || line.startsWith('-')) {
+      return `Invalid volume: ${line}`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message for invalid container options, or null
+function validateContainerOptions(options, deployMode) {
+  if (!options) return null;
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'containerOptions must be an object';
+  }
+
+  const { ports, restartPolicy, network, memory, cpus, labels, addHosts, logDriver, logOptions } = options;
+
+  for (const line of getLines(ports)) {
+    const match = line.match(PORT_PATTERN);
+    if (!match || !isPortNumber(match[2]) || !isPortNumber(match[3])) {
+      return `Invalid port mapping: ${line} (expected hostPort:containerPort, optionally with ip: prefix and /udp)`;
+    }
+  }
+
+  if (getLines(ports).length > 0 && deployMode === 'bluegreen') {
+    return 'Additional port mappings are not supported for blue/green deploys';
+  }
+
+  if (restartPolicy && !RESTART_POLICY_PATTERN.test(restartPolicy)) {
+    return `Invalid restart policy: ${restartPolicy}`;
+  }
+
+  if (network && !NETWORK_PATTERN.test(network)) {
+    return `Invalid network name: ${network}`;
+  }
+
+  if (['host', 'none'].includes(network) && deployMode === 'bluegreen') {
+    return `Network ${network} is not supported for blue/green deploys, the containers must publish their port`;
+  }
+
+  if (memory && !MEMORY_PATTERN.test(memory)) {
+    return `Invalid memory limit: ${memory} (e.g. 512m or 2g)`;
+  }
+
+  if (cpus && (!CPUS_PATTERN.test(cpus) || parseFloat(cpus) <= 0)) {
+    return `Invalid CPU limit: ${cpus} (e.g. 0.5 or 2)`;
+  }
+
+  for (const line of getLines(labels)) {
+    if (!LABEL_KEY_PATTERN.test(line.split('=')[0])) {
+      return `Invalid label: ${line} (expected key=value)`;
+    }
+  }
+
+  for (const line of getLines(addHosts)) {
+    if (!ADD_HOST_PATTERN.test(line)) {
+      return `Invalid extra host: ${line} (expected hostname:ip)`;
+    }
+  }
+
+  if (logDriver && !LOG_DRIVER_PATTERN.test(logDriver)) {
+    return `Invalid log driver: ${logDriver}`;
+  }
+
+  for (const line of getLines(logOptions)) {
+    if (!line.includes('=') || !LOG_OPTION_KEY_PATTERN.test(line.split('=')[0])) {
+      return `Invalid log option: ${line} (expected key=value)`;
+    }
+  }
+
+  try {
+    splitArgs(options.command || '');
+  } catch (error) {
+    return `Invalid command override: ${error.message}`;
+  }
+
+  return null;
+}
+
+// docker run arguments for the options, and a summary line per option for the job log.
+// The command override is returned separately because it goes after the image name.
+// Arguments are unquoted; ssh.js passes them through buildCommand.
+function getRunOptions(options) {
+  const { ports, restartPolicy, network, memory, cpus, labels, addHosts, entrypoint, command, logDriver, logOptions } = options || {};
+  const args = [];
+  const summary = [];
+
+  getLines(ports).forEach(line => args.push('-p', line));
+  if (getLines(ports).length > 0) {
+    summary.push(`Additional port mappings: ${getLines(ports).join(', ')}`);
+  }
+
+  if (restartPolicy) {
+    args.push('--restart', restartPolicy);
+    summary.push(`Restart policy: ${restartPolicy}`);
+  }
+
+  if (network) {
+    args.push('--network', network);
+    summary.push(`Network: ${network}`);
+  }
+
+  if (memory) {
+    args.push('--memory', memory);
+  }
+  if (cpus) {
+    args.push('--cpus', cpus);
+  }
+  if (memory || cpus) {
+    summary.push(`Resource limits: ${[memory && `memory ${memory}`, cpus && `${cpus} CPU(s)`].filter(part => part).join(', ')}`);
+  }
+
+  getLines(labels).forEach(line => args.push('--label', line));
+  if (getLines(labels).length > 0) {
+    summary.push(`Labels: ${getLines(labels).length} label(s) set`);
+  }
+
+  getLines(addHosts).forEach(line => args.push('--add-host', line));
+  if (getLines(addHosts).length > 0) {
+    summary.push(`Extra hosts: ${getLines(addHosts).join(', ')}`);
+  }
+
+  if (entrypoint && entrypoint.trim()) {
+    args.push('--entrypoint', entrypoint.trim());
+    summary.push(`Entrypoint: ${entrypoint.trim()}`);
+  }
+
+  if (logDriver) {
+    args.push('--log-driver', logDriver);
+    summary.push(`Log driver: ${logDriver}`);
+  }
+  getLines(logOptions).forEach(line => args.push('--log-opt', line));
+
+  // The command override is split like a shell would, then every argument is quoted again
+  const commandArgs = splitArgs(command || '');
+  if (commandArgs.length > 0) {
+    summary.push(`Command: ${command.trim()}`);
+  }
+
+  return { args, command: commandArgs, summary };
+}
+
+module.exports = {
+  LABEL_KEY_PATTERN,
+  getLines,
+  validateContainerName,
+  validateEnvVars,
+  validateVolumes,
+  validateContainerOptions,
+  getRunOptions
+};
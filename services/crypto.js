@@ -5,36 +5,95 @@ const KEY_LENGTH = 32;
 const IV_LENGTH = 16;
 const SALT_LENGTH = 64;
 const TAG_LENGTH = 16;
-const ITERATIONS = 100000;
 
-function deriveKey(password, salt) {
-  return crypto.pbkdf2Sync(password, salt, ITERATIONS, KEY_LENGTH, 'sha512');
+// Key derivation settings per format version. Encrypted values are stored as
+// v<version>:salt:iv:tag:encrypted; values without a prefix predate versioning and use version 1.
+// To upgrade the KDF, add a version and point CURRENT_VERSION at it: old values still decrypt,
+// and rotating the master password rewrites them in the new format.
+const KDF_VERSIONS = {
+  1: { iterations: 100000, digest: 'sha512' }
+};
+const CURRENT_VERSION = 1;
+
+function deriveKey(password, salt, version) {
+  const { iterations, digest } = KDF_VERSIONS[version];
+  return crypto.pbkdf2Sync(password, salt, iterations, KEY_LENGTH, digest);
 }
 
-function encrypt(text, password) {
-  if (!text) return null;
+// Values encrypted directly with a 32-byte data key (server-managed projects, see keys.js)
+// skip the KDF and are stored as k1:iv:tag:encrypted.
+const DATA_KEY_PREFIX = 'k1';
 
-  const salt = crypto.randomBytes(SALT_LENGTH);
-  const key = deriveKey(password, salt);
-  const iv = crypto.randomBytes(IV_LENGTH);
+// Returns { version, parts: [salt, iv, tag, encrypted] }, or { dataKey: true, parts: [iv, tag, encrypted] }
+function parse(encryptedData) {
+  const parts = encryptedData.split(':');
+  if (parts[0] === DATA_KEY_PREFIX && parts.length === 4) {
+    return { dataKey: true, parts: parts.slice(1) };
+  }
+  if (parts.length === 4) {
+    return { version: 1, parts };
+  }
+
+  const match = parts.length === 5 && parts[0].match(/^v(\d+)$/);
+  if (!match) {
+    throw new Error('Invalid encrypted data format');
+  }
+  const version = parseInt(match[1], 10);
+  if (!KDF_VERSIONS[version]) {
+    throw new Error(`Unsupported encryption format version: ${version}`);
+  }
+  return { version, parts: parts.slice(1) };
+}
 
+function seal(text, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
   const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
 
   let encrypted = cipher.update(text, 'utf8', 'hex');
   encrypted += cipher.final('hex');
 
-  const tag = cipher.getAuthTag();
+  return { iv, tag: cipher.getAuthTag(), encrypted };
+}
 
-  // Return salt:iv:tag:encrypted
-  return salt.toString('hex') + ':' + iv.toString('hex') + ':' + tag.toString('hex') + ':' + encrypted;
+function open(iv, tag, encrypted, key) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
 }
 
-function decrypt(encryptedData, password) {
+// secret is a master password, or a 32-byte data key Buffer for server-managed projects
+function encrypt(text, secret) {
+  if (!text) return null;
+
+  if (Buffer.isBuffer(secret)) {
+    const { iv, tag, encrypted } = seal(text, secret);
+    return `${DATA_KEY_PREFIX}:` + iv.toString('hex') + ':' + tag.toString('hex') + ':' + encrypted;
+  }
+  const password = secret;
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = deriveKey(password, salt, CURRENT_VERSION);
+  const { iv, tag, encrypted } = seal(text, key);
+
+  // Return v<version>:salt:iv:tag:encrypted
+  return `v${CURRENT_VERSION}:` + salt.toString('hex') + ':' + iv.toString('hex') + ':' + tag.toString('hex') + ':' + encrypted;
+}
+
+function decrypt(encryptedData, secret) {
   if (!encryptedData) return null;
 
-  const parts = encryptedData.split(':');
-  if (parts.length !== 4) {
-    throw new Error('Invalid encrypted data format');
+  const { version, dataKey, parts } = parse(encryptedData);
+
+  if (!!dataKey !== Buffer.isBuffer(secret)) {
+    throw new Error(dataKey ? 'Value is encrypted with a server-managed key' : 'Value is encrypted with a master password');
+  }
+
+  if (dataKey) {
+    return open(Buffer.from(parts[0], 'hex'), Buffer.from(parts[1], 'hex'), parts[2], secret);
   }
 
   const salt = Buffer.from(parts[0], 'hex');
@@ -42,15 +101,8 @@ function decrypt(encryptedData, password) {
   const tag = Buffer.from(parts[2], 'hex');
   const encrypted = parts[3];
 
-  const key = deriveKey(password, salt);
-
-  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-  decipher.setAuthTag(tag);
-
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-
-  return decrypted;
+  const key = deriveKey(secret, salt, version);
+  return open(iv, tag, encrypted, key);
 }
 
 module.exports = {
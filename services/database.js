@@ -98,12 +98,140 @@ async function createTables() {
       // Table doesn't exist yet, will be created below
     }
 
+    try {
+      await connection.query(`
+        ALTER TABLE jobs ADD COLUMN target_key VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER config
+      `);
+      console.log('Added jobs.target_key column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE jobs MODIFY COLUMN target_key TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL
+      `);
+      await connection.query(`
+        ALTER TABLE jobs ADD COLUMN targets TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER target_key
+      `);
+      console.log('Added jobs.targets column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE jobs ADD COLUMN steps TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER targets
+      `);
+      console.log('Added jobs.steps column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE jobs ADD COLUMN scan MEDIUMTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER steps
+      `);
+      console.log('Added jobs.scan column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE jobs
+          ADD COLUMN type VARCHAR(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'deploy' AFTER status,
+          ADD COLUMN source_job_id INT NULL AFTER type
+      `);
+      console.log('Added jobs.type and jobs.source_job_id columns');
+    } catch (e) {
+      // Columns already exist or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE jobs
+          ADD COLUMN project_id INT NULL AFTER source_job_id,
+          ADD COLUMN environment VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER project_id,
+          ADD INDEX idx_project_environment (project_id, environment)
+      `);
+      console.log('Added jobs.project_id and jobs.environment columns');
+    } catch (e) {
+      // Columns already exist or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE image_tags ADD COLUMN environment VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER job_id
+      `);
+      console.log('Added image_tags.environment column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`ALTER TABLE image_tags ADD COLUMN platforms VARCHAR(255) NULL AFTER environment`);
+      console.log('Added image_tags.platforms column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE jobs ADD COLUMN created_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER environment
+      `);
+      console.log('Added jobs.created_by column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE projects
+          ADD COLUMN created_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER config,
+          ADD COLUMN updated_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL AFTER created_by
+      `);
+      console.log('Added projects.created_by and projects.updated_by columns');
+    } catch (e) {
+      // Columns already exist or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`ALTER TABLE projects ADD COLUMN revision INT NOT NULL DEFAULT 1 AFTER config`);
+      console.log('Added projects.revision column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`ALTER TABLE jobs ADD COLUMN project_revision INT NULL AFTER project_id`);
+      console.log('Added jobs.project_revision column');
+    } catch (e) {
+      // Column already exists or table doesn't exist yet
+    }
+
+    try {
+      await connection.query(`
+        ALTER TABLE projects
+          ADD COLUMN key_mode VARCHAR(20) NOT NULL DEFAULT 'password' AFTER revision,
+          ADD COLUMN wrapped_key TEXT NULL AFTER key_mode
+      `);
+      console.log('Added projects.key_mode and projects.wrapped_key columns');
+    } catch (e) {
+      // Columns already exist or table doesn't exist yet
+    }
+
     // Projects table
     await connection.query(`
       CREATE TABLE IF NOT EXISTS projects (
         id INT AUTO_INCREMENT PRIMARY KEY,
         name VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
         config TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
+        revision INT NOT NULL DEFAULT 1,
+        key_mode VARCHAR(20) NOT NULL DEFAULT 'password',
+        wrapped_key TEXT NULL,
+        created_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        updated_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_name (name)
@@ -115,11 +243,22 @@ async function createTables() {
       CREATE TABLE IF NOT EXISTS jobs (
         id INT AUTO_INCREMENT PRIMARY KEY,
         status VARCHAR(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
+        type VARCHAR(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'deploy',
+        source_job_id INT NULL,
+        project_id INT NULL,
+        project_revision INT NULL,
+        environment VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        created_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
         logs MEDIUMTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci,
         config MEDIUMTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci,
+        target_key TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        targets TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        steps TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        scan MEDIUMTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_status (status),
-        INDEX idx_created (created_at)
+        INDEX idx_created (created_at),
+        INDEX idx_project_environment (project_id, environment)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
@@ -130,6 +269,8 @@ async function createTables() {
         image_key VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
         tag VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
         job_id INT,
+        environment VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        platforms VARCHAR(255) NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_image_key (image_key),
         INDEX idx_tag (tag),
@@ -137,6 +278,92 @@ async function createTables() {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // Users table (role: 'viewer', 'deployer' or 'admin')
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_username (username)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Projects a deployer may deploy
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_projects (
+        user_id INT NOT NULL,
+        project_id INT NOT NULL,
+        PRIMARY KEY (user_id, project_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Login sessions and API tokens store only a SHA-256 hash of the token
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        INDEX idx_user (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP NULL,
+        UNIQUE KEY unique_token_hash (token_hash),
+        INDEX idx_user (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Every saved version of a project's (encrypted) config. secret_versions maps each
+    // secret field to the revision it last changed in, so revisions can be compared
+    // without decrypting them.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS project_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT NOT NULL,
+        revision INT NOT NULL,
+        name VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
+        config TEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL,
+        secret_versions TEXT NULL,
+        restored_from INT NULL,
+        created_by VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_project_revision (project_id, revision)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Projects saved before revisions existed start with their current config as revision 1
+    await connection.query(`
+      INSERT INTO project_revisions (project_id, revision, name, config, created_by, created_at)
+      SELECT p.id, p.revision, p.name, p.config, p.updated_by, p.updated_at FROM projects p
+      WHERE NOT EXISTS (SELECT 1 FROM project_revisions r WHERE r.project_id = p.id)
+    `);
+
+    // Audit log of project changes, decrypt attempts and job actions
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        action VARCHAR(50) NOT NULL,
+        project_id INT NULL,
+        job_id INT NULL,
+        ip_address VARCHAR(64) NULL,
+        details MEDIUMTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_created_at (created_at),
+        INDEX idx_project (project_id),
+        INDEX idx_action (action)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
     console.log('Database tables created/verified');
   } finally {
     connection.release();
@@ -144,18 +371,31 @@ async function createTables() {
 }
 
 // Project operations
-async function createProject(name, config) {
+async function addProjectRevision(projectId, revision, name, config, username, secretVersions, restoredFrom) {
+  await pool.query(
+    'INSERT INTO project_revisions (project_id, revision, name, config, secret_versions, restored_from, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [projectId, revision, name, JSON.stringify(config), JSON.stringify(secretVersions || {}), restoredFrom || null, username || null]
+  );
+}
+
+// Creates the project with its first revision. keyMode is 'password' or 'server'
+// (wrappedKey is then the project's data key, wrapped by keys.wrapDataKey).
+async function createProject(name, config, username, secretVersions, keyMode = 'password', wrappedKey = null) {
   const [result] = await pool.query(
-    'INSERT INTO projects (name, config) VALUES (?, ?)',
-    [name, JSON.stringify(config)]
+    'INSERT INTO projects (name, config, revision, key_mode, wrapped_key, created_by, updated_by) VALUES (?, ?, 1, ?, ?, ?, ?)',
+    [name, JSON.stringify(config), keyMode, wrappedKey, username || null, username || null]
   );
+  await addProjectRevision(result.insertId, 1, name, config, username, secretVersions, null);
   return result.insertId;
 }
 
-async function updateProject(id, name, config) {
+// Saves the config as a new revision (the project's revision + 1) and makes it current.
+// The revision is written first, so a concurrent save of the same revision fails on the unique key.
+async function updateProject(id, name, config, username, revision, secretVersions, restoredFrom) {
+  await addProjectRevision(id, revision, name, config, username, secretVersions, restoredFrom);
   await pool.query(
-    'UPDATE projects SET name = ?, config = ? WHERE id = ?',
-    [name, JSON.stringify(config), id]
+    'UPDATE projects SET name = ?, config = ?, revision = ?, updated_by = ? WHERE id = ?',
+    [name, JSON.stringify(config), revision, username || null, id]
   );
 }
 
@@ -168,43 +408,139 @@ async function getProject(id) {
     id: project.id,
     name: project.name,
     config: JSON.parse(project.config),
+    revision: project.revision,
+    keyMode: project.key_mode,
+    wrappedKey: project.wrapped_key,
+    createdBy: project.created_by,
+    updatedBy: project.updated_by,
     createdAt: project.created_at,
     updatedAt: project.updated_at
   };
 }
 
 async function getAllProjects() {
-  const [rows] = await pool.query('SELECT id, name, created_at, updated_at FROM projects ORDER BY updated_at DESC');
+  const [rows] = await pool.query('SELECT id, name, key_mode, created_by, updated_by, created_at, updated_at FROM projects ORDER BY updated_at DESC');
   return rows.map(row => ({
     id: row.id,
     name: row.name,
+    keyMode: row.key_mode,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
     createdAt: row.created_at,
     updatedAt: row.updated_at
   }));
 }
 
 async function deleteProject(id) {
+  await pool.query('DELETE FROM project_revisions WHERE project_id = ?', [id]);
   await pool.query('DELETE FROM projects WHERE id = ?', [id]);
 }
 
+function mapProjectRevision(row) {
+  return {
+    revision: row.revision,
+    name: row.name,
+    restoredFrom: row.restored_from,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// Revision list without configs, newest first
+async function getProjectRevisions(projectId) {
+  const [rows] = await pool.query(
+    'SELECT revision, name, restored_from, created_by, created_at FROM project_revisions WHERE project_id = ? ORDER BY revision DESC',
+    [projectId]
+  );
+  return rows.map(mapProjectRevision);
+}
+
+async function getProjectRevision(projectId, revision) {
+  const [rows] = await pool.query('SELECT * FROM project_revisions WHERE project_id = ? AND revision = ?', [projectId, revision]);
+  if (rows.length === 0) return null;
+
+  return {
+    ...mapProjectRevision(rows[0]),
+    config: JSON.parse(rows[0].config),
+    secretVersions: rows[0].secret_versions ? JSON.parse(rows[0].secret_versions) : {}
+  };
+}
+
+// Configs of every revision, oldest first (for re-encryption)
+async function getProjectRevisionConfigs(projectId) {
+  const [rows] = await pool.query('SELECT revision, config FROM project_revisions WHERE project_id = ? ORDER BY revision', [projectId]);
+  return rows.map(row => ({ revision: row.revision, config: JSON.parse(row.config) }));
+}
+
+// Replace the stored (re-encrypted) configs of projects and their revisions in one transaction.
+// updates: [{ id, revision, config, revisions: [{ revision, config }] }], where revision is the
+// project's current revision when it was read; a project saved in the meantime aborts everything.
+// Updates with a keyMode also switch the project's key mode and wrapped data key.
+async function replaceProjectConfigs(updates) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const update of updates) {
+      const [result] = update.keyMode
+        ? await connection.query(
+          'UPDATE projects SET config = ?, key_mode = ?, wrapped_key = ? WHERE id = ? AND revision = ?',
+          [JSON.stringify(update.config), update.keyMode, update.wrappedKey || null, update.id, update.revision]
+        )
+        : await connection.query(
+          'UPDATE projects SET config = ? WHERE id = ? AND revision = ?',
+          [JSON.stringify(update.config), update.id, update.revision]
+        );
+      if (result.affectedRows === 0) {
+        throw new Error(`Project ${update.id} was changed or deleted during the update`);
+      }
+
+      for (const revision of update.revisions) {
+        await connection.query(
+          'UPDATE project_revisions SET config = ? WHERE project_id = ? AND revision = ?',
+          [JSON.stringify(revision.config), update.id, revision.revision]
+        );
+      }
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Job operations
-async function createJob(config) {
+// targetKeys lists the host/container pairs the job locks (stored newline-separated);
+// targets holds the per-target status ([{ label, status }]), steps the pipeline step status
+// ([{ name, status, startedAt, finishedAt, logStart }]). Build-only jobs have no targets.
+// type is 'deploy', 'rollback' or 'promote'; sourceJobId links to the job whose image is redeployed
+// config.createdBy is the username that started the job ('webhook' for push webhooks),
+// config.projectRevision the project revision it was started from
+async function createJob(config, targetKeys, targets, steps, type = 'deploy', sourceJobId = null) {
   const [result] = await pool.query(
-    'INSERT INTO jobs (status, logs, config) VALUES (?, ?, ?)',
-    ['pending', '', JSON.stringify(config)]
+    'INSERT INTO jobs (status, type, source_job_id, project_id, project_revision, environment, created_by, logs, config, target_key, targets, steps) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    ['pending', type, sourceJobId, config.projectId || null, config.projectRevision || null, config.environment || null, config.createdBy || null, '', JSON.stringify(config), targetKeys.join('\n'), JSON.stringify(targets || []), JSON.stringify(steps || [])]
   );
   return result.insertId;
 }
 
-async function updateJob(id, status, logs) {
+async function updateJob(id, status, logs, targets, steps) {
   // Store logs as plain string (joined by newlines) instead of JSON array
   const logsString = Array.isArray(logs) ? logs.join('\n') : logs;
   await pool.query(
-    'UPDATE jobs SET status = ?, logs = ? WHERE id = ?',
-    [status, logsString, id]
+    'UPDATE jobs SET status = ?, logs = ?, targets = COALESCE(?, targets), steps = COALESCE(?, steps) WHERE id = ?',
+    [status, logsString, targets ? JSON.stringify(targets) : null, steps ? JSON.stringify(steps) : null, id]
   );
 }
 
+// scan: vulnerability scan result ({ scanner, failOn, passed, summary, findings, ... }, see scan.js)
+async function setJobScan(id, scan) {
+  await pool.query('UPDATE jobs SET scan = ? WHERE id = ?', [JSON.stringify(scan), id]);
+}
+
 async function getJob(id) {
   const [rows] = await pool.query('SELECT * FROM jobs WHERE id = ?', [id]);
   if (rows.length === 0) return null;
@@ -213,31 +549,81 @@ async function getJob(id) {
   return {
     id: job.id,
     status: job.status,
+    type: job.type,
+    sourceJobId: job.source_job_id,
+    projectId: job.project_id,
+    projectRevision: job.project_revision,
+    environment: job.environment,
+    createdBy: job.created_by,
     // Parse logs: split string by newlines, filter empty lines
     logs: job.logs ? job.logs.split('\n').filter(line => line.trim() !== '') : [],
+    targets: job.targets ? JSON.parse(job.targets) : [],
+    steps: job.steps ? JSON.parse(job.steps) : [],
+    scan: job.scan ? JSON.parse(job.scan) : null,
     config: JSON.parse(job.config),
     createdAt: job.created_at
   };
 }
 
+// Recent jobs without their logs, which clients load from the job's stream
 async function getAllJobs() {
-  const [rows] = await pool.query('SELECT * FROM jobs ORDER BY created_at DESC LIMIT 3');
+  const [rows] = await pool.query(
+    'SELECT id, status, type, source_job_id, project_id, project_revision, environment, created_by, config, targets, steps, scan, created_at FROM jobs ORDER BY created_at DESC LIMIT 3'
+  );
   return rows.map(row => ({
     id: row.id,
     status: row.status,
-    // Parse logs: split string by newlines, filter empty lines
-    logs: row.logs ? row.logs.split('\n').filter(line => line.trim() !== '') : [],
+    type: row.type,
+    sourceJobId: row.source_job_id,
+    projectId: row.project_id,
+    projectRevision: row.project_revision,
+    environment: row.environment,
+    createdBy: row.created_by,
+    targets: row.targets ? JSON.parse(row.targets) : [],
+    steps: row.steps ? JSON.parse(row.steps) : [],
+    scan: row.scan ? JSON.parse(row.scan) : null,
     config: JSON.parse(row.config),
     createdAt: row.created_at
   }));
 }
 
+// Latest successful job that deployed to a project environment (build-only jobs lock no targets)
+async function getLatestEnvironmentJob(projectId, environment) {
+  const [rows] = await pool.query(
+    "SELECT id FROM jobs WHERE project_id = ? AND environment = ? AND status = 'completed' AND target_key <> '' ORDER BY id DESC LIMIT 1",
+    [projectId, environment]
+  );
+  if (rows.length === 0) return null;
+  return getJob(rows[0].id);
+}
+
+// Queue operations
+async function getQueuedJobs() {
+  const [rows] = await pool.query(
+    "SELECT id, target_key FROM jobs WHERE status = 'pending' ORDER BY id ASC"
+  );
+  return rows.map(row => ({
+    id: row.id,
+    targetKeys: row.target_key ? row.target_key.split('\n') : []
+  }));
+}
+
+// Mark jobs left pending or running by a previous server process as failed
+async function failInterruptedJobs(message) {
+  const [result] = await pool.query(
+    "UPDATE jobs SET status = 'failed', logs = CONCAT(COALESCE(logs, ''), '\n', ?) WHERE status IN ('pending', 'running')",
+    [message]
+  );
+  return result.affectedRows;
+}
+
 // Image tag operations
-async function addImageTag(imageKey, tag, jobId) {
+// platforms: the platforms the built tag contains (stored comma-separated), empty if unknown
+async function addImageTag(imageKey, tag, jobId, environment, platforms) {
   try {
     await pool.query(
-      'INSERT INTO image_tags (image_key, tag, job_id) VALUES (?, ?, ?)',
-      [imageKey, tag, jobId]
+      'INSERT INTO image_tags (image_key, tag, job_id, environment, platforms) VALUES (?, ?, ?, ?, ?)',
+      [imageKey, tag, jobId, environment || null, platforms && platforms.length > 0 ? platforms.join(',') : null]
     );
   } catch (error) {
     // Ignore duplicate entries
@@ -249,16 +635,33 @@ async function addImageTag(imageKey, tag, jobId) {
 
 async function getImageTags(imageKey) {
   const [rows] = await pool.query(
-    'SELECT tag, job_id, created_at FROM image_tags WHERE image_key = ? ORDER BY created_at DESC',
+    'SELECT tag, job_id, environment, platforms, created_at FROM image_tags WHERE image_key = ? ORDER BY created_at DESC',
     [imageKey]
   );
   return rows.map(row => ({
     tag: row.tag,
     jobId: row.job_id,
+    environment: row.environment,
+    platforms: row.platforms ? row.platforms.split(',') : [],
     createdAt: row.created_at
   }));
 }
 
+async function getImageTagByJob(jobId) {
+  const [rows] = await pool.query(
+    'SELECT image_key, tag, job_id, created_at FROM image_tags WHERE job_id = ? ORDER BY created_at DESC LIMIT 1',
+    [jobId]
+  );
+  if (rows.length === 0) return null;
+
+  return {
+    imageKey: rows[0].image_key,
+    tag: rows[0].tag,
+    jobId: rows[0].job_id,
+    createdAt: rows[0].created_at
+  };
+}
+
 async function tagExists(imageKey, tag) {
   const [rows] = await pool.query(
     'SELECT COUNT(*) as count FROM image_tags WHERE image_key = ? AND tag = ?',
@@ -267,6 +670,175 @@ async function tagExists(imageKey, tag) {
   return rows[0].count > 0;
 }
 
+// User operations
+function mapUser(row, projectIds) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    projectIds,
+    createdAt: row.created_at
+  };
+}
+
+async function getUserProjectIds(userId) {
+  const [rows] = await pool.query('SELECT project_id FROM user_projects WHERE user_id = ? ORDER BY project_id', [userId]);
+  return rows.map(row => row.project_id);
+}
+
+async function setUserProjects(userId, projectIds) {
+  await pool.query('DELETE FROM user_projects WHERE user_id = ?', [userId]);
+  for (const projectId of projectIds || []) {
+    await pool.query('INSERT INTO user_projects (user_id, project_id) VALUES (?, ?)', [userId, projectId]);
+  }
+}
+
+async function countUsers() {
+  const [rows] = await pool.query('SELECT COUNT(*) AS count FROM users');
+  return rows[0].count;
+}
+
+async function createUser(username, passwordHash, role, projectIds) {
+  const [result] = await pool.query(
+    'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+    [username, passwordHash, role]
+  );
+  await setUserProjects(result.insertId, projectIds);
+  return result.insertId;
+}
+
+// passwordHash is only changed when given
+async function updateUser(id, role, projectIds, passwordHash) {
+  await pool.query('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+  if (passwordHash) {
+    await pool.query('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
+  }
+  await setUserProjects(id, projectIds);
+}
+
+async function getUser(id) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  return mapUser(rows[0], await getUserProjectIds(id));
+}
+
+// Includes the password hash, for login only
+async function getUserCredentials(username) {
+  const [rows] = await pool.query('SELECT id, password_hash FROM users WHERE username = ?', [username]);
+  if (rows.length === 0) return null;
+  return { id: rows[0].id, passwordHash: rows[0].password_hash };
+}
+
+async function getAllUsers() {
+  const [rows] = await pool.query('SELECT * FROM users ORDER BY username');
+  return Promise.all(rows.map(async (row) => mapUser(row, await getUserProjectIds(row.id))));
+}
+
+async function deleteUser(id) {
+  await pool.query('DELETE FROM user_projects WHERE user_id = ?', [id]);
+  await pool.query('DELETE FROM sessions WHERE user_id = ?', [id]);
+  await pool.query('DELETE FROM api_tokens WHERE user_id = ?', [id]);
+  await pool.query('DELETE FROM users WHERE id = ?', [id]);
+}
+
+// Session operations
+async function createSession(tokenHash, userId, expiresAt) {
+  await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+  await pool.query('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)', [tokenHash, userId, expiresAt]);
+}
+
+async function getSessionUserId(tokenHash) {
+  const [rows] = await pool.query('SELECT user_id FROM sessions WHERE token_hash = ? AND expires_at > NOW()', [tokenHash]);
+  return rows.length === 0 ? null : rows[0].user_id;
+}
+
+async function deleteSession(tokenHash) {
+  await pool.query('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+}
+
+// API token operations
+async function createApiToken(userId, name, tokenHash) {
+  const [result] = await pool.query(
+    'INSERT INTO api_tokens (user_id, name, token_hash) VALUES (?, ?, ?)',
+    [userId, name, tokenHash]
+  );
+  return result.insertId;
+}
+
+async function getApiTokenUserId(tokenHash) {
+  const [rows] = await pool.query('SELECT id, user_id FROM api_tokens WHERE token_hash = ?', [tokenHash]);
+  if (rows.length === 0) return null;
+  await pool.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?', [rows[0].id]);
+  return rows[0].user_id;
+}
+
+async function getApiTokens(userId) {
+  const [rows] = await pool.query('SELECT id, name, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+  return rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  }));
+}
+
+async function deleteApiToken(id, userId) {
+  const [result] = await pool.query('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+  return result.affectedRows > 0;
+}
+
+// Audit log operations
+async function addAuditEvent({ username, action, projectId, jobId, ipAddress, details }) {
+  await pool.query(
+    'INSERT INTO audit_events (username, action, project_id, job_id, ip_address, details) VALUES (?, ?, ?, ?, ?, ?)',
+    [username || null, action, projectId || null, jobId || null, ipAddress || null, JSON.stringify(details || {})]
+  );
+}
+
+// filters: { action, projectId, username, from, to, limit }, newest first
+async function getAuditEvents(filters) {
+  const { action, projectId, username, from, to, limit } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (projectId) {
+    conditions.push('project_id = ?');
+    params.push(projectId);
+  }
+  if (username) {
+    conditions.push('username = ?');
+    params.push(username);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created_at < ?');
+    params.push(to);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows] = await pool.query(
+    `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    createdAt: row.created_at,
+    username: row.username,
+    action: row.action,
+    projectId: row.project_id,
+    jobId: row.job_id,
+    ipAddress: row.ip_address,
+    details: row.details ? JSON.parse(row.details) : {}
+  }));
+}
+
 module.exports = {
   initializeDatabase,
   createProject,
@@ -274,11 +846,36 @@ module.exports = {
   getProject,
   getAllProjects,
   deleteProject,
+  getProjectRevisions,
+  getProjectRevision,
+  getProjectRevisionConfigs,
+  replaceProjectConfigs,
   createJob,
   updateJob,
+  setJobScan,
   getJob,
   getAllJobs,
+  getLatestEnvironmentJob,
+  getQueuedJobs,
+  failInterruptedJobs,
   addImageTag,
   getImageTags,
-  tagExists
+  getImageTagByJob,
+  tagExists,
+  countUsers,
+  createUser,
+  updateUser,
+  getUser,
+  getUserCredentials,
+  getAllUsers,
+  deleteUser,
+  createSession,
+  getSessionUserId,
+  deleteSession,
+  createApiToken,
+  getApiTokenUserId,
+  getApiTokens,
+  deleteApiToken,
+  addAuditEvent,
+  getAuditEvents
 };
@@ -1,20 +1,65 @@
 const Docker = require('dockerode');
 const tar = require('tar-fs');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { PassThrough } = require('stream');
+const { createContextFilter } = require('./dockerignore');
 
 const docker = new Docker();
 
-async function buildImage(projectPath, imageName, buildPlatform, dockerfileName, contextPath, logCallback) {
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// extraOptions: dockerode build options from build.getBuildOptions (build args, target, cache, labels)
+async function buildImage(projectPath, imageName, buildPlatform, dockerfileName, contextPath, extraOptions, logCallback, signal) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Build cancelled'));
+    }
+
     // Use contextPath (defaults to '.') to determine the build context
     const effectiveContextPath = contextPath && contextPath.trim() !== '' ? contextPath : '.';
     const buildContextPath = path.join(projectPath, effectiveContextPath);
 
     logCallback(`Build context path: ${buildContextPath}`);
-    const tarStream = tar.pack(buildContextPath);
+
+    // Files matched by .dockerignore are not sent to the daemon
+    const dockerfilePath = dockerfileName && dockerfileName.trim() !== ''
+      ? path.join(projectPath, dockerfileName)
+      : path.join(buildContextPath, 'Dockerfile');
+    let contextFilter;
+    try {
+      contextFilter = createContextFilter(buildContextPath, dockerfilePath);
+    } catch (error) {
+      return reject(new Error(`Failed to read .dockerignore: ${error.message}`));
+    }
+    if (contextFilter.ignoreFile) {
+      logCallback(`Excluding files matched by ${path.relative(projectPath, contextFilter.ignoreFile)}`);
+    }
+
+    let fileCount = 0;
+    let totalSize = 0;
+    const tarStream = tar.pack(buildContextPath, {
+      ignore: contextFilter.ignore,
+      map: (header) => {
+        if (header.type === 'file') {
+          fileCount++;
+          totalSize += header.size;
+        }
+        return header;
+      }
+    });
+    tarStream.on('end', () => {
+      logCallback(`Sent build context: ${fileCount} file(s), ${formatSize(totalSize)}`);
+    });
 
     // Build options with image name
-    const buildOptions = { t: imageName };
+    const buildOptions = { ...extraOptions, t: imageName };
 
     // Add platform if specified
     if (buildPlatform) {
@@ -35,6 +80,15 @@ async function buildImage(projectPath, imageName, buildPlatform, dockerfileName,
       logCallback(`Using Dockerfile: ${dockerfileName} (resolved to: ${relativeDockerfilePath} relative to context)`);
     }
 
+    // Aborting the request makes the Docker daemon stop the build
+    if (signal) {
+      buildOptions.abortSignal = signal;
+      signal.addEventListener('abort', () => {
+        tarStream.destroy();
+        reject(new Error('Build cancelled'));
+      }, { once: true });
+    }
+
     docker.buildImage(tarStream, buildOptions, (err, stream) => {
       if (err) {
         return reject(err);
@@ -101,17 +155,23 @@ async function buildImage(projectPath, imageName, buildPlatform, dockerfileName,
   });
 }
 
-async function pushImage(imageName, username, password, logCallback) {
+// auth: dockerode authconfig { username, password, serveraddress }, or null for anonymous pushes
+async function pushImage(imageName, auth, logCallback, signal) {
   return new Promise(async (resolve, reject) => {
     try {
+      if (signal && signal.aborted) {
+        return reject(new Error('Push cancelled'));
+      }
+
       const image = docker.getImage(imageName);
 
-      const auth = {
-        username: username,
-        password: password
-      };
+      const pushOptions = auth ? { authconfig: auth } : {};
+      if (signal) {
+        pushOptions.abortSignal = signal;
+        signal.addEventListener('abort', () => reject(new Error('Push cancelled')), { once: true });
+      }
 
-      const stream = await image.push({ authconfig: auth });
+      const stream = await image.push(pushOptions);
 
       docker.modem.followProgress(stream, onFinished, onProgress);
 
@@ -140,7 +200,178 @@ async function pushImage(imageName, username, password, logCallback) {
   });
 }
 
+// Publish a manifest list under imageName that combines the pushed per-platform images.
+// The Engine API cannot create manifest lists, so this runs `docker buildx imagetools create`
+// with the registry credentials in a temporary Docker config that is removed afterwards.
+async function createManifestList(imageName, sourceImageNames, auth, logCallback, signal) {
+  const configDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cicd-docker-'));
+  try {
+    const auths = auth ? { [auth.serveraddress]: { auth: Buffer.from(`${auth.username}:${auth.password}`).toString('base64') } } : {};
+    await fs.promises.writeFile(path.join(configDir, 'config.json'), JSON.stringify({ auths }), { mode: 0o600 });
+
+    // The CLI also looks for plugins in the config directory: keep buildx installed for the server
+    // user (~/.docker/cli-plugins, or under DOCKER_CONFIG) available next to the temporary credentials
+    const userPluginsDir = path.join(process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker'), 'cli-plugins');
+    if (fs.existsSync(userPluginsDir)) {
+      await fs.promises.symlink(userPluginsDir, path.join(configDir, 'cli-plugins'), 'dir');
+    }
+
+    logCallback(`Creating manifest list ${imageName} from ${sourceImageNames.join(', ')}`);
+    const output = await new Promise((resolve, reject) => {
+      const args = ['buildx', 'imagetools', 'create', '--tag', imageName, ...sourceImageNames];
+      execFile('docker', args, { env: { ...process.env, DOCKER_CONFIG: configDir }, signal, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          if (signal && signal.aborted) {
+            return reject(new Error('Manifest list creation cancelled'));
+          }
+          // Without the CLI or its buildx plugin, say what multi-platform builds need
+          const missing = error.code === 'ENOENT' || /is not a docker command|unknown command/i.test(stderr || '');
+          return reject(new Error(`docker buildx imagetools create failed: ${(stderr || error.message).trim()}${missing ? ' (multi-platform images need the docker CLI with the buildx plugin on the CI/CD server)' : ''}`));
+        }
+        resolve(`${stdout}${stderr}`.trim());
+      });
+    });
+    output.split('\n').filter(line => line.trim()).forEach(line => logCallback(line.trim()));
+  } finally {
+    await fs.promises.rm(configDir, { recursive: true, force: true });
+  }
+}
+
+// Run a temporary container created from createOptions, passing its stdout and stderr to the
+// callbacks chunk by chunk. The container is killed after timeoutSeconds or when the job is
+// cancelled, and always removed. Resolves with the exit code.
+async function runContainer(createOptions, timeoutSeconds, onStdout, onStderr, signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Container cancelled');
+  }
+
+  const container = await docker.createContainer({ ...createOptions, Tty: false });
+
+  let timedOut = false;
+  let timer = null;
+  const kill = () => container.kill().catch(() => {});
+  const onAbort = () => kill();
+
+  try {
+    // Attach before starting so no output is lost
+    const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    stdout.on('data', onStdout);
+    stderr.on('data', onStderr);
+    docker.modem.demuxStream(stream, stdout, stderr);
+
+    await container.start();
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutSeconds * 1000);
+
+    const result = await container.wait();
+
+    if (signal && signal.aborted) {
+      throw new Error('Container cancelled');
+    }
+    if (timedOut) {
+      throw new Error(`Command timed out after ${timeoutSeconds}s`);
+    }
+    return result.StatusCode;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    await container.remove({ force: true }).catch(() => {});
+  }
+}
+
+// Returns a chunk handler that passes complete lines to logCallback, and a flush for the last line
+function createLineLogger(logCallback) {
+  let pending = '';
+  return {
+    write: (chunk) => {
+      const lines = (pending + chunk.toString('utf8')).split(/\r?\n/);
+      pending = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => logCallback(line));
+    },
+    flush: () => {
+      if (pending.trim()) {
+        logCallback(pending);
+      }
+      pending = '';
+    }
+  };
+}
+
+// Run command with /bin/sh -c in a temporary container from imageName, logging its output.
+// Resolves when the command exits with status 0, rejects otherwise.
+async function runTestContainer(imageName, command, timeoutSeconds, logCallback, signal) {
+  const logger = createLineLogger(logCallback);
+  const createOptions = {
+    Image: imageName,
+    Entrypoint: ['/bin/sh', '-c'],
+    Cmd: [command],
+    Labels: { 'simple-cicd.test': 'true' }
+  };
+
+  try {
+    const statusCode = await runContainer(createOptions, timeoutSeconds, logger.write, logger.write, signal);
+    if (statusCode !== 0) {
+      throw new Error(`Command exited with status ${statusCode}`);
+    }
+  } finally {
+    logger.flush();
+  }
+}
+
+// Pull an image unless it is already present locally
+async function ensureImage(imageName, logCallback, signal) {
+  try {
+    await docker.getImage(imageName).inspect();
+    return;
+  } catch (error) {
+    // Not present locally
+  }
+
+  logCallback(`Pulling ${imageName}...`);
+  const stream = await docker.pull(imageName, signal ? { abortSignal: signal } : {});
+  await new Promise((resolve, reject) => {
+    docker.modem.followProgress(stream, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Docker socket to mount into containers that talk to the daemon (vulnerability scanners)
+function getDockerSocket() {
+  return docker.modem.socketPath || '/var/run/docker.sock';
+}
+
+// Run a scanner container (see scan.getScannerContainer) and resolve with its stdout, the JSON
+// report. stderr is logged. Rejects when the scanner exits with a non-zero status.
+async function runScanner(createOptions, timeoutSeconds, logCallback, signal) {
+  await ensureImage(createOptions.Image, logCallback, signal);
+
+  const chunks = [];
+  const logger = createLineLogger(logCallback);
+  try {
+    const statusCode = await runContainer({ ...createOptions, Labels: { 'simple-cicd.scan': 'true' } }, timeoutSeconds, chunk => chunks.push(chunk), logger.write, signal);
+    if (statusCode !== 0) {
+      throw new Error(`Scanner exited with status ${statusCode}`);
+    }
+  } finally {
+    logger.flush();
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
 module.exports = {
   buildImage,
-  pushImage
+  pushImage,
+  createManifestList,
+  runTestContainer,
+  getDockerSocket,
+  runScanner
 };
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+// .dockerignore support for the build context, following Docker's rules:
+// - one pattern per line, relative to the context root; blank lines and # comments are skipped
+// - * and ? match within one path segment, ** matches any number of segments, [...] a character class
+// - a pattern also excludes everything below a matching directory
+// - !pattern re-includes paths; the last matching line wins
+// A <Dockerfile>.dockerignore next to the Dockerfile takes precedence over the context's .dockerignore.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toRegExpSource(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const chars = pattern.substring(i + 1, end);
+      source += `[${chars.startsWith('!') ? '^' + chars.substring(1) : chars}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      i++;
+      source += escapeRegExp(pattern[i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+// [{ pattern, negate, regExp }] for the lines of a .dockerignore file
+function parseIgnoreFile(text) {
+  const rules = [];
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) {
+      line = line.substring(1).trim();
+    }
+
+    const pattern = path.posix.normalize(line).replace(/^\/+/, '').replace(/\/+$/, '');
+    if (!pattern || pattern === '.') continue;
+
+    rules.push({ pattern, negate, regExp: new RegExp(`^${toRegExpSource(pattern)}$`) });
+  }
+  return rules;
+}
+
+// Whether the pattern matches relativePath or one of its parent directories
+function matchesOrParentMatches(rule, relativePath) {
+  const segments = relativePath.split('/');
+  for (let i = segments.length; i > 0; i--) {
+    if (rule.regExp.test(segments.slice(0, i).join('/'))) return true;
+  }
+  return false;
+}
+
+function isExcluded(rules, relativePath) {
+  let excluded = false;
+  for (const rule of rules) {
+    if (matchesOrParentMatches(rule, relativePath)) {
+      excluded = !rule.negate;
+    }
+  }
+  return excluded;
+}
+
+// Whether a !pattern could re-include something below an excluded directory, in which case
+// the directory has to be walked instead of skipped
+function couldMatchBelow(rule, directory) {
+  const patternSegments = rule.pattern.split('/');
+  const directorySegments = directory.split('/');
+
+  for (let i = 0; i < directorySegments.length; i++) {
+    if (i >= patternSegments.length) return false;
+    if (patternSegments[i].includes('**')) return true;
+    if (!new RegExp(`^${toRegExpSource(patternSegments[i])}$`).test(directorySegments[i])) return false;
+  }
+  return patternSegments.length > directorySegments.length;
+}
+
+// The ignore file that applies to a build: <Dockerfile>.dockerignore, else <context>/.dockerignore, else null
+function findIgnoreFile(contextPath, dockerfilePath) {
+  const candidates = [`${dockerfilePath}.dockerignore`, path.join(contextPath, '.dockerignore')];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Returns { ignoreFile, ignore(absolutePath) } for tar-fs pack. The Dockerfile and the ignore
+// file itself are always sent, like `docker build` does, because the daemon needs them.
+function createContextFilter(contextPath, dockerfilePath) {
+  const ignoreFile = findIgnoreFile(contextPath, dockerfilePath);
+  const rules = ignoreFile ? parseIgnoreFile(fs.readFileSync(ignoreFile, 'utf8')) : [];
+  const alwaysSent = [dockerfilePath, ignoreFile]
+    .filter(file => file)
+    .map(file => path.relative(contextPath, file).split(path.sep).join('/'))
+    .filter(file => !file.startsWith('..'));
+
+  function ignore(absolutePath) {
+    const relativePath = path.relative(contextPath, absolutePath).split(path.sep).join('/');
+    if (!relativePath || alwaysSent.includes(relativePath) || !isExcluded(rules, relativePath)) {
+      return false;
+    }
+
+    if (!fs.lstatSync(absolutePath).isDirectory()) {
+      return true;
+    }
+    const neededBelow = alwaysSent.some(file => file.startsWith(`${relativePath}/`)) ||
+      rules.some(rule => rule.negate && couldMatchBelow(rule, relativePath));
+    return !neededBelow;
+  }
+
+  return { ignoreFile, ignore };
+}
+
+module.exports = {
+  createContextFilter
+};
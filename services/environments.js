@@ -0,0 +1,81 @@
+const { TARGET_FIELDS, TARGET_SECRET_FIELDS, isEmpty, mapTargetSecrets } = require('./targets');
+
+// Named environments (e.g. dev, staging, prod) override the primary target's
+// fields for a project. Their order in config.environments is the promotion path.
+
+const ENVIRONMENT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+function findEnvironment(config, name) {
+  return (config.environments || []).find(environment => environment.name === name) || null;
+}
+
+// Returns a copy of config with the environment's non-empty fields applied
+function applyEnvironment(config, name) {
+  if (!name) {
+    return { ...config, environment: null };
+  }
+
+  const environment = findEnvironment(config, name);
+  if (!environment) {
+    throw new Error(`Unknown environment: ${name}`);
+  }
+
+  const result = { ...config, environment: name };
+  TARGET_FIELDS.forEach(field => {
+    if (!isEmpty(environment[field])) {
+      result[field] = environment[field];
+    }
+  });
+
+  // Credentials are overridden as a set, never mixed
+  if (environment.sshPassword || environment.sshPrivateKey) {
+    TARGET_SECRET_FIELDS.forEach(field => {
+      result[field] = environment[field];
+    });
+  }
+
+  return result;
+}
+
+// The environment after `name` in promotion order, or null if it is the last one
+function getNextEnvironment(config, name) {
+  const environments = config.environments || [];
+  const index = environments.findIndex(environment => environment.name === name);
+  if (index === -1 || index === environments.length - 1) return null;
+  return environments[index + 1].name;
+}
+
+// Returns an error message for invalid environments, or null
+function validateEnvironments(environments) {
+  if (environments === undefined || environments === null) return null;
+
+  if (!Array.isArray(environments)) {
+    return 'environments must be an array';
+  }
+
+  const names = new Set();
+  for (const environment of environments) {
+    if (!environment || !ENVIRONMENT_NAME_PATTERN.test(environment.name || '')) {
+      return 'Environment names may only contain letters, numbers, "-" and "_"';
+    }
+    if (names.has(environment.name)) {
+      return `Duplicate environment: ${environment.name}`;
+    }
+    names.add(environment.name);
+  }
+
+  return null;
+}
+
+// Apply fn to each environment's secret fields (used to encrypt/decrypt stored projects)
+function mapEnvironmentSecrets(environments, fn) {
+  return (environments || []).map(environment => ({ name: environment.name, ...mapTargetSecrets([environment], fn)[0] }));
+}
+
+module.exports = {
+  findEnvironment,
+  applyEnvironment,
+  getNextEnvironment,
+  validateEnvironments,
+  mapEnvironmentSecrets
+};
@@ -0,0 +1,179 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Git sources are fetched into a bare cache repository per URL under WORKSPACE_DIR,
+// and each job builds from its own detached worktree of the resolved commit.
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '..', 'workspaces');
+const SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+// Fetches and worktree changes on the same cache repository must not overlap
+const repoLocks = new Map();
+
+function withRepoLock(cacheDir, fn) {
+  const previous = repoLocks.get(cacheDir) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  repoLocks.set(cacheDir, current);
+  current.catch(() => {}).then(() => {
+    if (repoLocks.get(cacheDir) === current) {
+      repoLocks.delete(cacheDir);
+    }
+  });
+  return current;
+}
+
+// Hide credentials embedded in https URLs from the job log and the stored job config
+function maskUrl(repoUrl) {
+  return repoUrl.replace(/\/\/[^/@]+@/, '//***@');
+}
+
+function git(args, options, signal) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { ...options, signal, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        if (signal && signal.aborted) {
+          return reject(new Error('Checkout cancelled'));
+        }
+        return reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+// The URL and ref are passed to git as arguments, so neither may look like an option. Branch
+// and tag names must be valid ref names, commit SHAs are used as they are.
+async function validateSource(repoUrl, ref, env) {
+  if (!repoUrl || repoUrl.startsWith('-')) {
+    throw new Error(`Invalid repository URL: ${maskUrl(repoUrl || '')}`);
+  }
+  if (!ref || SHA_PATTERN.test(ref)) {
+    return;
+  }
+  // check-ref-format has no -- separator
+  if (ref.startsWith('-')) {
+    throw new Error(`Invalid Git ref: ${ref}`);
+  }
+  await git(['check-ref-format', '--allow-onelevel', ref], { env }).catch(() => {
+    throw new Error(`Invalid Git ref: ${ref}`);
+  });
+}
+
+// Returns the commit SHA a ref resolves to in the cache repository, or null
+async function resolveCommit(cacheDir, ref, env) {
+  const candidates = ref ? [`refs/remotes/origin/${ref}`, `refs/tags/${ref}`, ref] : ['refs/remotes/origin/HEAD'];
+  for (const candidate of candidates) {
+    try {
+      return await git(['rev-parse', '--verify', '--quiet', '--end-of-options', `${candidate}^{commit}`], { cwd: cacheDir, env });
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+// Fetch repoUrl into the workspace cache and check out ref (branch, tag or commit SHA,
+// default branch if empty) into a worktree for the job.
+// options: { submodules, deployKey }
+// Returns { path, commit, cleanup } - call cleanup() once the build no longer needs the files.
+async function checkoutRepository(jobId, repoUrl, ref, options, logCallback, signal) {
+  const { submodules, deployKey } = options || {};
+  const urlHash = crypto.createHash('sha256').update(repoUrl).digest('hex').substring(0, 16);
+  const cacheDir = path.join(WORKSPACE_DIR, 'cache', `${urlHash}.git`);
+  const worktreeDir = path.join(WORKSPACE_DIR, 'jobs', `job-${jobId}`);
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  let keyFile = null;
+
+  if (deployKey) {
+    // ssh refuses keys that other users can read
+    keyFile = path.join(os.tmpdir(), `deploy-key-${jobId}-${Date.now()}`);
+    fs.writeFileSync(keyFile, deployKey.trim() + '\n', { mode: 0o600 });
+    env.GIT_SSH_COMMAND = `ssh -i '${keyFile}' -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new`;
+    logCallback('Using deploy key authentication');
+  }
+
+  const removeKeyFile = () => {
+    if (keyFile) {
+      fs.rmSync(keyFile, { force: true });
+      keyFile = null;
+    }
+  };
+
+  const cleanup = () => withRepoLock(cacheDir, async () => {
+    await git(['worktree', 'remove', '--force', '--', worktreeDir], { cwd: cacheDir, env }).catch(() => {});
+    fs.rmSync(worktreeDir, { recursive: true, force: true });
+    await git(['worktree', 'prune'], { cwd: cacheDir, env }).catch(() => {});
+  });
+
+  try {
+    await validateSource(repoUrl, ref, env);
+
+    const commit = await withRepoLock(cacheDir, async () => {
+      if (!fs.existsSync(path.join(cacheDir, 'HEAD'))) {
+        logCallback(`Creating workspace cache for ${maskUrl(repoUrl)}`);
+        fs.mkdirSync(cacheDir, { recursive: true });
+        await git(['init', '--bare', '--quiet'], { cwd: cacheDir, env }, signal);
+        await git(['remote', 'add', '--', 'origin', repoUrl], { cwd: cacheDir, env }, signal);
+      } else {
+        await git(['remote', 'set-url', '--', 'origin', repoUrl], { cwd: cacheDir, env }, signal);
+      }
+
+      logCallback(`Fetching ${maskUrl(repoUrl)}...`);
+      await git(['fetch', '--prune', '--tags', '--force', '--', 'origin', '+HEAD:refs/remotes/origin/HEAD', '+refs/heads/*:refs/remotes/origin/*'], { cwd: cacheDir, env }, signal);
+
+      let resolved = await resolveCommit(cacheDir, ref, env);
+      if (!resolved && SHA_PATTERN.test(ref || '')) {
+        // Commits not reachable from any branch or tag can still be fetched by SHA on most hosts
+        await git(['fetch', '--', 'origin', ref], { cwd: cacheDir, env }, signal).catch(() => {});
+        resolved = await resolveCommit(cacheDir, ref, env);
+      }
+      if (!resolved) {
+        throw new Error(`Git ref not found: ${ref || 'default branch'}`);
+      }
+
+      // A leftover worktree from an interrupted job with the same id is replaced
+      fs.rmSync(worktreeDir, { recursive: true, force: true });
+      await git(['worktree', 'prune'], { cwd: cacheDir, env }, signal);
+      await git(['worktree', 'add', '--force', '--detach', '--', worktreeDir, resolved], { cwd: cacheDir, env }, signal);
+      return resolved;
+    });
+
+    logCallback(`Checked out ${ref || 'default branch'} at commit ${commit}`);
+
+    if (submodules) {
+      logCallback('Updating submodules...');
+      await git(['submodule', 'update', '--init', '--recursive', '--force'], { cwd: worktreeDir, env }, signal);
+      const status = await git(['submodule', 'status', '--recursive'], { cwd: worktreeDir, env }, signal);
+      status.split('\n').filter(line => line.trim()).forEach(line => logCallback(`Submodule ${line.trim()}`));
+    }
+
+    removeKeyFile();
+    return { path: worktreeDir, commit, cleanup };
+  } catch (error) {
+    removeKeyFile();
+    await cleanup().catch(() => {});
+    throw error;
+  }
+}
+
+// Commit checked out in a local project path, or null when it is not inside a Git working tree.
+// Returns { commit, modified }, where modified means tracked files have uncommitted changes.
+async function getLocalRevision(projectPath, signal) {
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  let commit;
+  try {
+    commit = await git(['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], { cwd: projectPath, env }, signal);
+  } catch (error) {
+    return null;
+  }
+  const status = await git(['status', '--porcelain', '--untracked-files=no'], { cwd: projectPath, env }, signal).catch(() => '');
+  return { commit, modified: status !== '' };
+}
+
+module.exports = {
+  maskUrl,
+  checkoutRepository,
+  getLocalRevision
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const cryptoService = require('./crypto');
+
+// Server-managed keys (envelope encryption). Projects in 'server' key mode have their own
+// random data key, which encrypts their credentials instead of the master password. The data
+// key is stored wrapped (encrypted) with the key-encryption key (KEK) from ENCRYPTION_KEY or
+// ENCRYPTION_KEY_FILE, so the server can deploy them without anyone typing a password while
+// the database alone is still not enough to read the secrets.
+
+const KEY_MODES = ['password', 'server'];
+const KEY_LENGTH = 32;
+
+let cachedKek;
+
+// The KEK is 32 bytes, given base64 or hex encoded. Returns null if none is configured,
+// throws if it is configured but invalid.
+function loadKek() {
+  if (cachedKek !== undefined) return cachedKek;
+
+  let encoded = process.env.ENCRYPTION_KEY;
+  if (!encoded && process.env.ENCRYPTION_KEY_FILE) {
+    encoded = fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8');
+  }
+  encoded = (encoded || '').trim();
+
+  if (!encoded) {
+    cachedKek = null;
+    return cachedKek;
+  }
+
+  const kek = /^[0-9a-fA-F]{64}$/.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  if (kek.length !== KEY_LENGTH) {
+    throw new Error(`ENCRYPTION_KEY must be ${KEY_LENGTH} bytes (base64 or hex encoded), e.g. the output of: openssl rand -base64 32`);
+  }
+  cachedKek = kek;
+  return cachedKek;
+}
+
+function getKek() {
+  const kek = loadKek();
+  if (!kek) {
+    throw new Error('Server-managed keys require ENCRYPTION_KEY or ENCRYPTION_KEY_FILE to be set on the server');
+  }
+  return kek;
+}
+
+// Short fingerprint of the KEK stored with each wrapped key, so a wrong key file is reported
+// as such rather than as a corrupted project
+function getKekId(kek) {
+  return crypto.createHash('sha256').update(kek).digest('hex').substring(0, 8);
+}
+
+function isServerKeyAvailable() {
+  try {
+    return !!loadKek();
+  } catch (error) {
+    return false;
+  }
+}
+
+function generateDataKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+// Stored as kekId:k1:iv:tag:encrypted
+function wrapDataKey(dataKey) {
+  const kek = getKek();
+  return `${getKekId(kek)}:${cryptoService.encrypt(dataKey.toString('hex'), kek)}`;
+}
+
+function unwrapDataKey(wrappedKey) {
+  const kek = getKek();
+  const separator = (wrappedKey || '').indexOf(':');
+  if (separator === -1) {
+    throw new Error('Project has no valid wrapped data key');
+  }
+  if (wrappedKey.substring(0, separator) !== getKekId(kek)) {
+    throw new Error('Project data key was wrapped with a different ENCRYPTION_KEY');
+  }
+  return Buffer.from(cryptoService.decrypt(wrappedKey.substring(separator + 1), kek), 'hex');
+}
+
+module.exports = {
+  KEY_MODES,
+  loadKek,
+  isServerKeyAvailable,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey
+};
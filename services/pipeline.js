@@ -0,0 +1,86 @@
+// Pipeline settings stored in a project's pipeline:
+// { steps: [{ name, command, timeout }], push, deploy }
+// Each step runs its command in a temporary container from the built image, after the build and
+// before the vulnerability scan (see scan.js) and the push. push and deploy default to true;
+// turning them off makes build-only jobs.
+
+const { isScanEnabled } = require('./scan');
+
+const DEFAULT_STEP_TIMEOUT = 600;
+const MAX_STEP_NAME_LENGTH = 100;
+// Names of the built-in steps, which test steps cannot reuse
+const RESERVED_STEP_NAMES = ['build', 'scan', 'push', 'deploy'];
+
+function getTestSteps(pipeline) {
+  return (pipeline && Array.isArray(pipeline.steps) ? pipeline.steps : []).map(step => ({
+    name: step.name.trim(),
+    command: step.command,
+    timeout: parseInt(step.timeout, 10) || DEFAULT_STEP_TIMEOUT
+  }));
+}
+
+// Rollbacks and promotions (skipBuild) only deploy an image that was already pushed
+function isPushEnabled(config) {
+  return !config.skipBuild && !(config.pipeline && config.pipeline.push === false);
+}
+
+function isDeployEnabled(config) {
+  return !!config.skipBuild || !(config.pipeline && config.pipeline.deploy === false);
+}
+
+// Returns an error message for invalid pipeline settings, or null
+function validatePipeline(pipeline) {
+  if (!pipeline) return null;
+
+  if (typeof pipeline !== 'object' || Array.isArray(pipeline)) {
+    return 'pipeline must be an object';
+  }
+
+  if (pipeline.steps !== undefined && !Array.isArray(pipeline.steps)) {
+    return 'Pipeline steps must be an array';
+  }
+
+  const names = [];
+  for (const [index, step] of (pipeline.steps || []).entries()) {
+    const name = step && typeof step.name === 'string' ? step.name.trim() : '';
+    if (!name || name.length > MAX_STEP_NAME_LENGTH) {
+      return `Pipeline step ${index + 1}: name is required (up to ${MAX_STEP_NAME_LENGTH} characters)`;
+    }
+    if (RESERVED_STEP_NAMES.includes(name.toLowerCase()) || names.includes(name)) {
+      return `Pipeline step ${index + 1}: the name ${name} is reserved or already used`;
+    }
+    names.push(name);
+
+    if (typeof step.command !== 'string' || !step.command.trim()) {
+      return `Pipeline step ${name}: command is required`;
+    }
+    if (step.timeout !== undefined && step.timeout !== null && step.timeout !== '' && !(parseInt(step.timeout, 10) > 0)) {
+      return `Pipeline step ${name}: timeout must be a positive number of seconds`;
+    }
+  }
+
+  if (pipeline.push === false && pipeline.deploy !== false) {
+    return 'Deploying requires pushing the image';
+  }
+
+  return null;
+}
+
+// Step records for a job: build, the test steps, scan, push and deploy, leaving out disabled ones
+function getJobSteps(config) {
+  const names = config.skipBuild
+    ? []
+    : ['build', ...getTestSteps(config.pipeline).map(step => step.name), ...(isScanEnabled(config) ? ['scan'] : []), ...(isPushEnabled(config) ? ['push'] : [])];
+  if (isDeployEnabled(config)) {
+    names.push('deploy');
+  }
+  return names.map(name => ({ name, status: 'pending', startedAt: null, finishedAt: null, logStart: null }));
+}
+
+module.exports = {
+  getTestSteps,
+  isPushEnabled,
+  isDeployEnabled,
+  validatePipeline,
+  getJobSteps
+};
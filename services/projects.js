@@ -0,0 +1,174 @@
+const cryptoService = require('./crypto');
+const { TARGET_SECRET_FIELDS, mapTargetSecrets } = require('./targets');
+const { mapEnvironmentSecrets } = require('./environments');
+const { mapSecretValues } = require('./secrets');
+
+// Project config fields stored in plain text
+const PLAIN_FIELDS = [
+  'projectPath', 'repoUrl', 'repoRef', 'repoSubmodules', 'dockerfileName', 'contextPath', 'imageName', 'imageTag', 'buildPlatform',
+  'registryHost', 'registryNamespace', 'registryCredentialType', 'dockerHubUsername', 'sshHost', 'sshUser', 'containerName', 'hostPort', 'containerPort',
+  'envVars', 'useEnvFile', 'volumes', 'deployMode', 'composeTemplate', 'alternatePort', 'healthCheckPath', 'healthCheck', 'containerOptions',
+  'targetStrategy', 'batchSize', 'webhookBranches', 'buildOptions', 'pipeline', 'scan'
+];
+
+// Project config fields encrypted with the master password
+const SECRET_FIELDS = ['dockerHubPassword', 'sshPassword', 'sshPrivateKey', 'sshPassphrase', 'repoDeployKey', 'webhookSecret'];
+
+// Sent to the browser instead of the saved secrets of projects with a server-managed key
+const UNCHANGED_SECRET = '(unchanged)';
+
+function mapConfig(config, fn, emptyValue) {
+  const result = {};
+  PLAIN_FIELDS.forEach(field => {
+    result[field] = config[field];
+  });
+  SECRET_FIELDS.forEach(field => {
+    result[field] = config[field] ? fn(config[field]) : emptyValue;
+  });
+  result.targets = mapTargetSecrets(config.targets, fn);
+  result.environments = mapEnvironmentSecrets(config.environments, fn);
+  result.secrets = mapSecretValues(config.secrets, fn);
+  return result;
+}
+
+function encryptConfig(config, masterPassword) {
+  return mapConfig(config, value => cryptoService.encrypt(value, masterPassword), null);
+}
+
+// Throws if the master password is wrong or the data is corrupted
+function decryptConfig(config, masterPassword) {
+  return mapConfig(config, value => cryptoService.decrypt(value, masterPassword), '');
+}
+
+// Decrypt with one master password and encrypt with another. Values are rewritten in the
+// current encryption format. Throws if oldPassword does not decrypt the config.
+function reencryptConfig(config, oldPassword, newPassword) {
+  return encryptConfig(decryptConfig(config, oldPassword), newPassword);
+}
+
+// Decrypted config with every non-empty secret replaced by UNCHANGED_SECRET
+function hideSecrets(config) {
+  return mapConfig(config, () => UNCHANGED_SECRET, '');
+}
+
+// Put the saved values back for UNCHANGED_SECRET placeholders in a config sent by the browser:
+// project fields by name, additional targets by SSH host, environments and secrets by name.
+// Throws for a placeholder without a saved value, e.g. after a target's host was changed.
+function restoreSecrets(config, savedConfig) {
+  const restore = (entry, savedEntry, fields, label) => {
+    if (!entry) return entry;
+    const result = { ...entry };
+    fields.forEach(field => {
+      if (entry[field] !== UNCHANGED_SECRET) return;
+      if (!savedEntry || !savedEntry[field]) {
+        throw new Error(`${label}: ${field} has no saved value, enter it again`);
+      }
+      result[field] = savedEntry[field];
+    });
+    return result;
+  };
+  const findSaved = (list, key, value) => (list || []).find(entry => entry && entry[key] === value);
+
+  const result = restore(config, savedConfig, SECRET_FIELDS, 'Project');
+  if (Array.isArray(config.targets)) {
+    result.targets = config.targets.map(target => restore(target, target && findSaved(savedConfig.targets, 'sshHost', target.sshHost), TARGET_SECRET_FIELDS, `Target ${target && target.sshHost}`));
+  }
+  if (Array.isArray(config.environments)) {
+    result.environments = config.environments.map(environment => restore(environment, environment && findSaved(savedConfig.environments, 'name', environment.name), TARGET_SECRET_FIELDS, `Environment ${environment && environment.name}`));
+  }
+  if (Array.isArray(config.secrets)) {
+    result.secrets = config.secrets.map(secret => restore(secret, secret && findSaved(savedConfig.secrets, 'name', secret.name), ['value'], `Secret ${secret && secret.name}`));
+  }
+  return result;
+}
+
+// Decrypt one secret field without paying for the whole project
+function decryptSecret(config, field, masterPassword) {
+  return config[field] ? cryptoService.decrypt(config[field], masterPassword) : '';
+}
+
+// { 'targets[0].sshHost': 'web-2', 'containerOptions.memory': '512m', ... }
+function flattenConfig(value, prefix, result) {
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      const path = Array.isArray(value) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key);
+      flattenConfig(value[key], path, result);
+    });
+  } else if (value !== undefined && value !== null && value !== '') {
+    result[prefix] = value;
+  }
+  return result;
+}
+
+function isSecretPath(path) {
+  return SECRET_FIELDS.includes(path.split(/[.\]]/).pop()) || /^secrets\[\d+\]\.value$/.test(path);
+}
+
+// Field-by-field changes between two configs: [{ field, change, before, after }], where change
+// is 'added', 'removed' or 'changed'. Secret values are never included, only whether they changed.
+function diffConfigs(before, after) {
+  const oldValues = flattenConfig(before ? mapConfig(before, value => value, '') : {}, '', {});
+  const newValues = flattenConfig(after ? mapConfig(after, value => value, '') : {}, '', {});
+  const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].sort();
+
+  return fields.filter(field => String(oldValues[field]) !== String(newValues[field])).map(field => {
+    const change = !(field in oldValues) ? 'added' : !(field in newValues) ? 'removed' : 'changed';
+    if (isSecretPath(field)) {
+      return { field, change, secret: true };
+    }
+    return { field, change, before: oldValues[field], after: newValues[field] };
+  });
+}
+
+function getSecretValues(config) {
+  const values = flattenConfig(config ? mapConfig(config, value => value, '') : {}, '', {});
+  const secrets = {};
+  Object.keys(values).filter(isSecretPath).forEach(path => {
+    secrets[path] = values[path];
+  });
+  return secrets;
+}
+
+// Secret field -> revision the secret last changed in, for a config saved as `revision`.
+// before is the previous revision's decrypted config, or null if it could not be decrypted
+// (then every secret counts as changed).
+function getSecretVersions(before, after, previousVersions, revision) {
+  const oldSecrets = getSecretValues(before);
+  const versions = {};
+  Object.entries(getSecretValues(after)).forEach(([path, value]) => {
+    const unchanged = before && oldSecrets[path] === value && previousVersions && previousVersions[path];
+    versions[path] = unchanged ? previousVersions[path] : revision;
+  });
+  return versions;
+}
+
+// Changes between two stored (encrypted) revisions. Plain fields are diffed by value,
+// secrets by the revision they last changed in, so they are only reported as changed or not.
+function diffRevisions(from, to) {
+  const changes = diffConfigs(from.config, to.config).filter(change => !change.secret);
+  const oldVersions = from.secretVersions || {};
+  const newVersions = to.secretVersions || {};
+
+  [...new Set([...Object.keys(oldVersions), ...Object.keys(newVersions)])].forEach(field => {
+    if (oldVersions[field] === newVersions[field]) return;
+    const change = !(field in oldVersions) ? 'added' : !(field in newVersions) ? 'removed' : 'changed';
+    changes.push({ field, change, secret: true });
+  });
+
+  if (from.name !== to.name) {
+    changes.push({ field: 'name', change: 'changed', before: from.name, after: to.name });
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+module.exports = {
+  encryptConfig,
+  decryptConfig,
+  decryptSecret,
+  hideSecrets,
+  restoreSecrets,
+  reencryptConfig,
+  diffConfigs,
+  getSecretVersions,
+  diffRevisions
+};
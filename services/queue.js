@@ -0,0 +1,83 @@
+const db = require('./database');
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2;
+
+// Runtime payloads (including credentials) for queued jobs, kept in memory only
+const payloads = new Map();
+
+// Jobs currently executing (jobId -> target keys)
+const runningJobs = new Map();
+
+let runner = null;
+let processing = false;
+let rerun = false;
+
+function setRunner(fn) {
+  runner = fn;
+}
+
+function enqueue(jobId, payload) {
+  payloads.set(jobId, payload);
+  processQueue();
+}
+
+// Drop a job that has not started yet. Returns false if it is already running.
+function dequeue(jobId) {
+  if (runningJobs.has(jobId)) return false;
+  payloads.delete(jobId);
+  return true;
+}
+
+// Start queued jobs in order, respecting the global limit and one job per target at a time
+async function processQueue() {
+  if (processing) {
+    rerun = true;
+    return;
+  }
+  processing = true;
+
+  try {
+    do {
+      rerun = false;
+      const queuedJobs = await db.getQueuedJobs();
+      const busyTargets = new Set([].concat(...runningJobs.values()));
+
+      for (const job of queuedJobs) {
+        if (runningJobs.size >= MAX_CONCURRENT_JOBS) break;
+
+        // Jobs without a payload belong to another request still being set up, or were dequeued
+        const payload = payloads.get(job.id);
+        if (!payload) continue;
+
+        if (job.targetKeys.some(key => busyTargets.has(key))) continue;
+
+        payloads.delete(job.id);
+        runningJobs.set(job.id, job.targetKeys);
+        job.targetKeys.forEach(key => busyTargets.add(key));
+        start(job.id, payload);
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('Failed to process job queue:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+async function start(jobId, payload) {
+  try {
+    await runner(jobId, payload);
+  } catch (error) {
+    console.error(`Job ${jobId} runner failed:`, error);
+  } finally {
+    runningJobs.delete(jobId);
+    processQueue();
+  }
+}
+
+module.exports = {
+  setRunner,
+  enqueue,
+  dequeue,
+  processQueue
+};
@@ -0,0 +1,88 @@
+// Image names and credentials for Docker Hub or a private registry (GHCR, GitLab, Harbor,
+// self-hosted registry:2). An empty registryHost means Docker Hub. The registry credentials
+// keep their original dockerHubUsername/dockerHubPassword field names so saved projects still load.
+
+const DOCKER_HUB_ADDRESS = 'https://index.docker.io/v1/';
+const REGISTRY_HOST_PATTERN = /^[A-Za-z0-9.-]+(:\d+)?$/;
+// Namespaces and image names: lowercase path components separated by "/"
+const REPOSITORY_PATH_PATTERN = /^[a-z0-9]+([._-][a-z0-9]+)*(\/[a-z0-9]+([._-][a-z0-9]+)*)*$/;
+const CREDENTIAL_TYPES = ['password', 'token'];
+const IMAGE_TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+
+// host/namespace/imageName, without the tag. The namespace defaults to the registry username.
+function getImageRepository(config) {
+  const namespace = config.registryNamespace || config.dockerHubUsername;
+  return [config.registryHost, namespace, config.imageName].filter(part => part).join('/');
+}
+
+function getImageName(config) {
+  return `${getImageRepository(config)}:${config.imageTag}`;
+}
+
+// Multi-platform builds push each platform under its own tag (my-app:1.2.0-linux-arm64)
+// before combining them into a manifest list under the job's tag
+function getPlatformImageName(config, platform) {
+  return `${getImageName(config)}-${platform.replace(/\//g, '-')}`;
+}
+
+function getRegistryName(config) {
+  return config.registryHost || 'Docker Hub';
+}
+
+// dockerode authconfig, or null for registries that accept anonymous pushes.
+// Tokens (GHCR personal access tokens, GitLab deploy tokens, Harbor robot accounts) are sent as the password.
+function getRegistryAuth(config) {
+  if (!config.dockerHubUsername || !config.dockerHubPassword) return null;
+
+  return {
+    username: config.dockerHubUsername,
+    password: config.dockerHubPassword,
+    serveraddress: config.registryHost || DOCKER_HUB_ADDRESS
+  };
+}
+
+// Returns an error message for invalid registry settings or image name, or null
+function validateRegistry(config) {
+  const { imageName, imageTag, registryHost, registryNamespace, registryCredentialType, dockerHubUsername, dockerHubPassword } = config;
+
+  if (!REPOSITORY_PATH_PATTERN.test(imageName || '')) {
+    return 'Image name may only contain lowercase letters, numbers, ".", "_", "-" and "/"';
+  }
+
+  if (!IMAGE_TAG_PATTERN.test(imageTag || '')) {
+    return 'Image tag may only contain letters, numbers, "_", "." and "-" (up to 128 characters)';
+  }
+
+  if (registryHost && !REGISTRY_HOST_PATTERN.test(registryHost)) {
+    return 'Registry host must be a host name with an optional port, without https://';
+  }
+
+  if (registryNamespace && !REPOSITORY_PATH_PATTERN.test(registryNamespace)) {
+    return 'Registry namespace may only contain lowercase letters, numbers, ".", "_", "-" and "/"';
+  }
+
+  if (registryCredentialType && !CREDENTIAL_TYPES.includes(registryCredentialType)) {
+    return `Invalid registry credential type: ${registryCredentialType}`;
+  }
+
+  const secretName = registryCredentialType === 'token' ? 'token' : 'password';
+
+  if (!registryHost && (!dockerHubUsername || !dockerHubPassword)) {
+    return `Docker Hub requires a username and ${secretName}`;
+  }
+
+  if (!!dockerHubUsername !== !!dockerHubPassword) {
+    return `Registry username and ${secretName} must be provided together`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  getImageRepository,
+  getImageName,
+  getPlatformImageName,
+  getRegistryName,
+  getRegistryAuth,
+  validateRegistry
+};
@@ -0,0 +1,170 @@
+// Vulnerability scan settings stored in a project's scan:
+// { enabled, scanner, image, failOn, ignoreUnfixed, timeout }
+// The scanner (Trivy or Grype) runs as a container from `image`, which must already contain
+// its vulnerability database: scans never download one. Its JSON report is reduced to a list
+// of findings and a per-severity summary, which are stored on the job.
+
+const SCANNERS = ['trivy', 'grype'];
+// Most severe first; failOn fails the job on findings of this severity or worse
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN'];
+const FAIL_ON_SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const DEFAULT_SCAN_TIMEOUT = 600;
+// Findings stored per job, most severe first; the summary always counts all of them
+const MAX_STORED_FINDINGS = 500;
+
+function isScanEnabled(config) {
+  return !config.skipBuild && !!(config.scan && config.scan.enabled);
+}
+
+// Returns an error message for invalid scan settings, or null
+function validateScan(scan) {
+  if (!scan) return null;
+
+  if (typeof scan !== 'object' || Array.isArray(scan)) {
+    return 'scan must be an object';
+  }
+
+  if (!scan.enabled) return null;
+
+  if (!SCANNERS.includes(scan.scanner)) {
+    return `Invalid scanner: ${scan.scanner} (expected ${SCANNERS.join(' or ')})`;
+  }
+  if (!scan.image || typeof scan.image !== 'string') {
+    return 'Vulnerability scans require a scanner image that contains its vulnerability database';
+  }
+  if (scan.failOn && !FAIL_ON_SEVERITIES.includes(scan.failOn)) {
+    return `Invalid scan threshold: ${scan.failOn} (expected ${FAIL_ON_SEVERITIES.join(', ')})`;
+  }
+  if (scan.timeout && !(parseInt(scan.timeout, 10) > 0)) {
+    return 'Scan timeout must be a positive number of seconds';
+  }
+  return null;
+}
+
+// dockerode container settings that run the scanner against a local image through the Docker socket
+function getScannerContainer(scan, imageName, dockerSocket) {
+  const container = {
+    Image: scan.image,
+    HostConfig: { Binds: [`${dockerSocket}:/var/run/docker.sock`] }
+  };
+
+  if (scan.scanner === 'trivy') {
+    container.Cmd = ['image', '--format', 'json', '--quiet', '--skip-db-update', '--skip-java-db-update', '--offline-scan', ...(scan.ignoreUnfixed ? ['--ignore-unfixed'] : []), imageName];
+  } else {
+    container.Cmd = [`docker:${imageName}`, '--output', 'json', ...(scan.ignoreUnfixed ? ['--only-fixed'] : [])];
+    container.Env = ['GRYPE_DB_AUTO_UPDATE=false', 'GRYPE_CHECK_FOR_APP_UPDATE=false'];
+  }
+  return container;
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || '').toUpperCase();
+  // Grype's lowest level
+  if (value === 'NEGLIGIBLE') return 'LOW';
+  return SEVERITIES.includes(value) ? value : 'UNKNOWN';
+}
+
+// { Results: [{ Target, Vulnerabilities: [{ VulnerabilityID, PkgName, InstalledVersion, FixedVersion, Severity, Title }] }] }
+function parseTrivyReport(report) {
+  return (report.Results || []).flatMap(result => (result.Vulnerabilities || []).map(vulnerability => ({
+    id: vulnerability.VulnerabilityID,
+    severity: normalizeSeverity(vulnerability.Severity),
+    package: vulnerability.PkgName,
+    installedVersion: vulnerability.InstalledVersion || null,
+    fixedVersion: vulnerability.FixedVersion || null,
+    title: vulnerability.Title || null,
+    target: result.Target || null
+  })));
+}
+
+// { matches: [{ vulnerability: { id, severity, description, fix: { versions } }, artifact: { name, version, locations } }] }
+function parseGrypeReport(report) {
+  return (report.matches || []).map(match => {
+    const vulnerability = match.vulnerability || {};
+    const artifact = match.artifact || {};
+    const fixVersions = (vulnerability.fix && vulnerability.fix.versions) || [];
+    const location = (artifact.locations || [])[0];
+    return {
+      id: vulnerability.id,
+      severity: normalizeSeverity(vulnerability.severity),
+      package: artifact.name,
+      installedVersion: artifact.version || null,
+      fixedVersion: fixVersions.length > 0 ? fixVersions.join(', ') : null,
+      title: vulnerability.description || null,
+      target: location ? location.path : null
+    };
+  });
+}
+
+// Findings from a scanner's JSON report (as text). Throws if it is not valid JSON.
+function parseReport(scanner, text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse ${scanner} report: ${error.message}`);
+  }
+  return scanner === 'trivy' ? parseTrivyReport(report) : parseGrypeReport(report);
+}
+
+// { CRITICAL: 1, HIGH: 0, ... } for findings
+function summarizeFindings(findings) {
+  const summary = {};
+  SEVERITIES.forEach(severity => {
+    summary[severity] = findings.filter(finding => finding.severity === severity).length;
+  });
+  return summary;
+}
+
+// Severities at or above failOn that have findings, e.g. ['CRITICAL'] for failOn HIGH
+function getThresholdViolations(summary, failOn) {
+  if (!failOn) return [];
+  return SEVERITIES.slice(0, SEVERITIES.indexOf(failOn) + 1).filter(severity => summary[severity] > 0);
+}
+
+// Result stored on the job. reports: [{ platform, findings }], one per scanned image; the same
+// vulnerability found in several platform images is counted once, listing its platforms.
+function getScanResult(scan, reports) {
+  const findings = new Map();
+  reports.forEach(({ platform, findings: reportFindings }) => {
+    reportFindings.forEach(finding => {
+      const key = `${finding.id}|${finding.package}|${finding.installedVersion}`;
+      if (!findings.has(key)) {
+        findings.set(key, { ...finding, platforms: [] });
+      }
+      if (platform) {
+        findings.get(key).platforms.push(platform);
+      }
+    });
+  });
+
+  const sorted = [...findings.values()].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  const summary = summarizeFindings(sorted);
+  const violations = getThresholdViolations(summary, scan.failOn);
+
+  return {
+    scanner: scan.scanner,
+    image: scan.image,
+    failOn: scan.failOn || null,
+    passed: violations.length === 0,
+    violations,
+    summary,
+    total: sorted.length,
+    findings: sorted.slice(0, MAX_STORED_FINDINGS)
+  };
+}
+
+// One line for the job log, e.g. "CRITICAL 1, HIGH 3, MEDIUM 0, LOW 7, UNKNOWN 0"
+function formatSummary(summary) {
+  return SEVERITIES.map(severity => `${severity} ${summary[severity] || 0}`).join(', ');
+}
+
+module.exports = {
+  DEFAULT_SCAN_TIMEOUT,
+  isScanEnabled,
+  validateScan,
+  getScannerContainer,
+  parseReport,
+  getScanResult,
+  formatSummary
+};
@@ -0,0 +1,86 @@
+// Named project secrets: [{ name, value }] stored encrypted with the project's other
+// credentials. Env var lines reference them as ${secret:name}; placeholders are only
+// replaced right before a target is deployed, so jobs.config keeps the placeholders.
+
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const PLACEHOLDER_PATTERN = /\$\{secret:([^}]*)\}/g;
+// Very short values would mask unrelated text in the logs
+const MIN_MASK_LENGTH = 3;
+
+// Apply fn to each secret value (used to encrypt/decrypt stored projects)
+function mapSecretValues(secrets, fn) {
+  return (secrets || []).map(secret => ({
+    name: secret.name,
+    value: secret.value ? fn(secret.value) : null
+  }));
+}
+
+// Names referenced by ${secret:name} placeholders in text, in order of appearance
+function getSecretReferences(text) {
+  return [...new Set(Array.from((text || '').matchAll(PLACEHOLDER_PATTERN), match => match[1]))];
+}
+
+// Returns an error message for invalid secrets or references to unknown secrets, or null.
+// texts are the env var blocks of every target that will be deployed.
+function validateSecrets(secrets, texts) {
+  if (secrets !== undefined && secrets !== null && !Array.isArray(secrets)) {
+    return 'secrets must be an array';
+  }
+
+  const names = [];
+  for (const secret of secrets || []) {
+    if (!secret || !SECRET_NAME_PATTERN.test(secret.name || '')) {
+      return `Invalid secret name: ${secret && secret.name} (letters, numbers, "_", "." and "-")`;
+    }
+    if (/[\r\n]/.test(secret.value || '')) {
+      return `Secret ${secret.name}: values cannot contain line breaks (env vars are one per line)`;
+    }
+    if (names.includes(secret.name)) {
+      return `Duplicate secret: ${secret.name}`;
+    }
+    names.push(secret.name);
+  }
+
+  for (const text of texts) {
+    const unknown = getSecretReferences(text).find(name => !(secrets || []).some(secret => secret.name === name && secret.value));
+    if (unknown !== undefined) {
+      return `Unknown secret or secret without a value: ${unknown}`;
+    }
+  }
+
+  return null;
+}
+
+// Replace ${secret:name} placeholders with the secret values. Throws on unknown secrets.
+function resolveSecrets(text, secrets) {
+  if (!text) return text;
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const secret = (secrets || []).find(candidate => candidate.name === name);
+    if (!secret || !secret.value) {
+      throw new Error(`Unknown secret or secret without a value: ${name}`);
+    }
+    return secret.value;
+  });
+}
+
+// Values to hide from job logs, longest first so overlapping values are fully masked
+function getMaskValues(secrets) {
+  return (secrets || [])
+    .map(secret => secret.value)
+    .filter(value => value && value.length >= MIN_MASK_LENGTH)
+    .sort((a, b) => b.length - a.length);
+}
+
+function maskSecrets(text, maskValues) {
+  return (maskValues || []).reduce((result, value) => result.split(value).join('***'), String(text));
+}
+
+module.exports = {
+  mapSecretValues,
+  getSecretReferences,
+  validateSecrets,
+  resolveSecrets,
+  getMaskValues,
+  maskSecrets
+};
@@ -0,0 +1,79 @@
+// Builds the shell commands sent over SSH. Every argument goes through quote(), so
+// user-supplied values (container names, env lines, volumes, ...) can never end a
+// quoted string or add another command.
+
+// Arguments made only of these characters mean the same to the shell when unquoted
+const SAFE_ARGUMENT = /^[A-Za-z0-9_/.,:=@%+-]+$/;
+
+// POSIX single quoting: nothing is special inside '...', and a ' is written as '\''
+function quote(value) {
+  const text = String(value);
+  if (SAFE_ARGUMENT.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// Join arguments into one command line. null and undefined arguments are left out so
+// optional flags can be written inline.
+function buildCommand(args) {
+  return args.filter(arg => arg !== null && arg !== undefined).map(quote).join(' ');
+}
+
+// Split a command line typed by a user (e.g. a command override) into arguments,
+// honouring single quotes, double quotes and backslash escapes. Throws on unbalanced quotes.
+function splitArgs(text) {
+  const args = [];
+  let current = '';
+  let inArg = false;
+  let quoteChar = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoteChar === "'") {
+      if (char === "'") {
+        quoteChar = null;
+      } else {
+        current += char;
+      }
+    } else if (quoteChar === '"') {
+      if (char === '"') {
+        quoteChar = null;
+      } else if (char === '\\' && i + 1 < text.length && ['"', '\\', '$', '`'].includes(text[i + 1])) {
+        current += text[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quoteChar = char;
+      inArg = true;
+    } else if (char === '\\' && i + 1 < text.length) {
+      current += text[++i];
+      inArg = true;
+    } else if (/\s/.test(char)) {
+      if (inArg) {
+        args.push(current);
+        current = '';
+        inArg = false;
+      }
+    } else {
+      current += char;
+      inArg = true;
+    }
+  }
+
+  if (quoteChar) {
+    throw new Error(`Unbalanced ${quoteChar} quote in: ${text}`);
+  }
+  if (inArg) {
+    args.push(current);
+  }
+  return args;
+}
+
+module.exports = {
+  quote,
+  buildCommand,
+  splitArgs
+};
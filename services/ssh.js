@@ -1,9 +1,35 @@
 const { NodeSSH } = require('node-ssh');
+const { getRunOptions, validateContainerName, validateEnvVars, validateVolumes } = require('./container');
+const { buildCommand } = require('./shell');
 
-async function deployContainer(host, username, password, imageName, containerName, hostPort, containerPort, sshPrivateKey, sshPassphrase, envVars, useEnvFile, volumes, logCallback) {
-  const ssh = new NodeSSH();
+const HEALTH_CHECK_INTERVAL_MS = 3000;
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 5;
+const DEFAULT_HEALTH_CHECK_RETRIES = 10;
+// Image of the proxy container that owns the host port of blue/green deploys
+const BLUEGREEN_PROXY_IMAGE = process.env.BLUEGREEN_PROXY_IMAGE || 'nginx:1.27-alpine';
+const PROXY_CONFIG_DIR = '/etc/nginx/simple-cicd';
+
+// Deploy functions that open connections with createConnection() (a NodeSSH-compatible object
+// with connect, execCommand and dispose) and poll health checks every healthCheckInterval ms.
+// The exported deployContainer uses NodeSSH; tests pass a client that records the commands.
+function createDeployer({ createConnection = () => new NodeSSH(), healthCheckInterval = HEALTH_CHECK_INTERVAL_MS } = {}) {
+  return {
+    deployContainer: (...args) => deployContainer({ ssh: createConnection(), healthCheckInterval }, ...args)
+  };
+}
+
+// deployOptions: { deployMode: 'recreate' | 'bluegreen' | 'compose', alternatePort, healthCheckPath, healthCheck, registryAuth, composeTemplate, containerOptions }
+async function deployContainer(connection, host, username, password, imageName, containerName, hostPort, containerPort, sshPrivateKey, sshPassphrase, envVars, useEnvFile, volumes, deployOptions, logCallback, signal) {
+  const { deployMode, alternatePort, healthCheckPath, healthCheck, registryAuth, composeTemplate, containerOptions } = deployOptions || {};
+  const { ssh, healthCheckInterval } = connection;
   let envFilePath = null;
 
+  // Rollbacks, promotions and webhooks reach this point without the deploy form's validation
+  const valueError = validateContainerName(containerName) || validateEnvVars(envVars) || validateVolumes(volumes);
+  if (valueError) {
+    throw new Error(valueError);
+  }
+
   try {
     logCallback(`Connecting to ${host}...`);
 
@@ -30,24 +56,40 @@ async function deployContainer(host, username, password, imageName, containerNam
 
     await ssh.connect(connectionConfig);
 
+    if (signal && signal.aborted) {
+      throw new Error('Deployment cancelled');
+    }
+
     logCallback('Connected successfully');
 
-    // Pull the new image
-    logCallback(`Pulling image ${imageName}...`);
-    await executeCommand(ssh, `docker pull ${imageName}`, logCallback);
+    // Log in to the registry so private images can be pulled. Rollbacks have no registry
+    // credentials and rely on the login left behind by the original deploy.
+    if (registryAuth) {
+      // Docker Hub's address is an https URL and is the default for docker login
+      const server = /^https?:\/\//.test(registryAuth.serveraddress) ? '' : registryAuth.serveraddress;
+      logCallback(`Logging in to registry ${server || 'Docker Hub'} as ${registryAuth.username}...`);
+      // The password goes to docker login on the channel's stdin, never on a command line
+      const loginCommand = buildCommand(['docker', 'login', '--username', registryAuth.username, '--password-stdin', server || null]);
+      const login = await executeCommand(ssh, loginCommand, logCallback, true, signal, registryAuth.password)
+        .catch(error => {
+          throw signal && signal.aborted ? error : new Error(`Registry login to ${server || 'Docker Hub'} failed`);
+        });
+      logCallback(login.stdout.trim() || 'Registry login succeeded');
+    }
 
-    // Stop and remove old container if exists
-    logCallback(`Stopping old container ${containerName} if exists...`);
-    await executeCommand(ssh, `docker stop ${containerName} || true`, logCallback);
-    await executeCommand(ssh, `docker rm ${containerName} || true`, logCallback);
+    if (deployMode === 'compose') {
+      await deployComposeStack(ssh, containerName, imageName, composeTemplate, envVars, logCallback, signal);
+      logCallback('Stack deployed successfully');
+      ssh.dispose();
+      return;
+    }
 
-    // Build docker run command with optional port mapping and environment variables
-    let dockerRunCmd = `docker run -d --name ${containerName}`;
+    // Pull the new image
+    logCallback(`Pulling image ${imageName}...`);
+    await executeCommand(ssh, buildCommand(['docker', 'pull', imageName]), logCallback, false, signal);
 
-    if (hostPort && containerPort) {
-      dockerRunCmd += ` -p ${hostPort}:${containerPort}`;
-      logCallback(`Port mapping: ${hostPort} -> ${containerPort}`);
-    }
+    // Build the docker run arguments shared by every container started for this deploy
+    const runArgs = [];
 
     // Add environment variables if provided
     if (envVars && envVars.trim()) {
@@ -58,19 +100,17 @@ async function deployContainer(host, username, password, imageName, containerNam
         envFilePath = `/tmp/.env-${containerName}-${Date.now()}`;
         logCallback(`Using env file mode: ${envFilePath}`);
 
-        // Write env file content using base64 to avoid shell escaping issues
         const envContent = envLines.map(line => line.trim()).join('\n');
-        const base64Content = Buffer.from(envContent).toString('base64');
-        await executeCommand(ssh, `echo "${base64Content}" | base64 -d > ${envFilePath}`, logCallback, true);
+        await writeRemoteFile(ssh, buildCommand([envFilePath]), envContent, logCallback, signal);
 
-        dockerRunCmd += ` --env-file ${envFilePath}`;
+        runArgs.push('--env-file', envFilePath);
         logCallback(`Environment variables: ${envLines.length} variable(s) set via env file`);
       } else {
         // Use inline mode - add each env var as -e flag
         envLines.forEach(line => {
           const trimmedLine = line.trim();
           if (trimmedLine) {
-            dockerRunCmd += ` -e "${trimmedLine}"`;
+            runArgs.push('-e', trimmedLine);
           }
         });
         logCallback(`Environment variables: ${envLines.length} variable(s) set inline`);
@@ -83,32 +123,91 @@ async function deployContainer(host, username, password, imageName, containerNam
       volumeLines.forEach(line => {
         const trimmedLine = line.trim();
         if (trimmedLine) {
-          dockerRunCmd += ` -v ${trimmedLine}`;
+          runArgs.push('-v', trimmedLine);
         }
       });
       logCallback(`Volumes: ${volumeLines.length} volume(s) mounted`);
     }
 
-    dockerRunCmd += ` ${imageName}`;
+    // Restart policy, network, resource limits, labels, extra hosts, entrypoint, command and logging
+    const containerSettings = getRunOptions(containerOptions);
+    runArgs.push(...containerSettings.args);
+    containerSettings.summary.forEach(line => logCallback(line));
+
+    const runContainer = async (name, publishPort, image) => {
+      const portArgs = [];
+
+      if (publishPort && containerPort) {
+        portArgs.push('-p', `${publishPort}:${containerPort}`);
+        logCallback(`Port mapping: ${publishPort} -> ${containerPort}`);
+      }
+
+      const dockerRunCmd = buildCommand(['docker', 'run', '-d', '--name', name, ...portArgs, ...runArgs, image || imageName, ...containerSettings.command]);
+      await executeCommand(ssh, dockerRunCmd, logCallback, false, signal);
+    };
+
+    // Remember the image the current container runs so a failed health check can restore it
+    const previous = await executeCommand(ssh, `${buildCommand(['docker', 'inspect', '-f', '{{.Image}} {{.Config.Image}}', containerName])} 2>/dev/null || true`, logCallback, true, signal);
+    const [previousImageId, previousImageName] = previous.stdout.trim().split(' ');
+
+    if (deployMode === 'bluegreen') {
+      await deployBlueGreen(ssh, { containerName, hostPort, containerPort, alternatePort, healthCheckPath, healthCheck, previousImageId, runContainer, healthCheckInterval }, logCallback, signal);
+    } else {
+      // Containers of an earlier blue/green deploy hold the host port
+      await executeCommand(ssh, `${buildCommand(['docker', 'rm', '-f', `${containerName}-proxy`, `${containerName}-blue`, `${containerName}-green`])} 2>/dev/null || true`, logCallback, true, signal);
+
+      // Stop and remove old container if exists
+      logCallback(`Stopping old container ${containerName} if exists...`);
+      await executeCommand(ssh, `${buildCommand(['docker', 'stop', containerName])} || true`, logCallback, false, signal);
+      await executeCommand(ssh, `${buildCommand(['docker', 'rm', containerName])} || true`, logCallback, false, signal);
+
+      // Run new container
+      logCallback(`Starting new container ${containerName}...`);
+      await runContainer(containerName, hostPort);
+    }
+
+    // Post-deploy health check with automatic rollback to the previous image (blue/green deploys
+    // run it before switching back or removing the old container)
+    if (deployMode !== 'bluegreen' && healthCheck && healthCheck.type) {
+      logCallback(`Running ${healthCheck.type} health check on ${containerName}...`);
+      try {
+        await waitForHealthy(ssh, containerName, healthCheck, logCallback, signal, healthCheckInterval);
+      } catch (healthError) {
+        if (signal && signal.aborted) {
+          throw healthError;
+        }
+
+        logCallback(healthError.message);
+        await executeCommand(ssh, buildCommand(['docker', 'logs', '--tail', '50', containerName]), logCallback).catch(() => {});
+
+        if (!previousImageId) {
+          throw new Error(`${healthError.message}. No previous container to roll back to`);
+        }
 
-    // Run new container
-    logCallback(`Starting new container ${containerName}...`);
-    await executeCommand(ssh, dockerRunCmd, logCallback);
+        logCallback(`Rolling back ${containerName} to previous image ${previousImageName} (${previousImageId.substring(0, 19)})...`);
+        await executeCommand(ssh, `${buildCommand(['docker', 'stop', containerName])} || true`, logCallback);
+        await executeCommand(ssh, `${buildCommand(['docker', 'rm', containerName])} || true`, logCallback);
+        await runContainer(containerName, hostPort, previousImageId);
+        logCallback(`Rolled back ${containerName} to ${previousImageName}`);
+
+        throw new Error(`${healthError.message}. Rolled back to previous image ${previousImageName}`);
+      }
+    }
 
     logCallback('Container deployed successfully');
 
     // Clean up env file if it was created
     if (envFilePath) {
       logCallback('Cleaning up env file...');
-      await executeCommand(ssh, `rm -f ${envFilePath}`, logCallback, true);
+      await executeCommand(ssh, buildCommand(['rm', '-f', envFilePath]), logCallback, true);
     }
 
     ssh.dispose();
   } catch (error) {
-    // Clean up env file on error
+    // Clean up env file on error (also runs when the deployment was cancelled)
     if (envFilePath) {
       try {
-        await executeCommand(ssh, `rm -f ${envFilePath}`, () => {}, true);
+        await executeCommand(ssh, buildCommand(['rm', '-f', envFilePath]), () => {}, true);
       } catch (cleanupError) {
         // Ignore cleanup errors
       }
@@ -118,8 +217,303 @@ async function deployContainer(host, username, password, imageName, containerNam
   }
 }
 
-async function executeCommand(ssh, command, logCallback, silent = false) {
-  const result = await ssh.execCommand(command);
+// Blue/green: the host port belongs to an nginx proxy container, <name>-proxy, which forwards it
+// to the live one of two slot containers, <name>-blue and <name>-green, published on 127.0.0.1 at
+// the alternate port and the port after it. The new image starts in the idle slot and traffic only
+// moves to it once it is healthy, with a graceful nginx reload, so no connection is refused. If the
+// check through the host port or the post-deploy health check then fails, traffic moves back.
+async function deployBlueGreen(ssh, options, logCallback, signal) {
+  const { containerName, hostPort, containerPort, alternatePort, healthCheckPath, healthCheck, previousImageId, runContainer, healthCheckInterval } = options;
+  // Rollbacks of jobs saved before blue/green needed ports skip the server's validation
+  if (!hostPort || !containerPort || !alternatePort) {
+    throw new Error('Blue/green deploys require a host port, a container port and an alternate host port');
+  }
+  const proxyName = `${containerName}-proxy`;
+  const slots = {
+    blue: { name: `${containerName}-blue`, port: parseInt(alternatePort, 10) },
+    green: { name: `${containerName}-green`, port: parseInt(alternatePort, 10) + 1 }
+  };
+  const home = (await executeCommand(ssh, 'echo "$HOME"', logCallback, true, signal)).stdout.trim();
+  const proxyDir = `${home}/simple-cicd/${getStackName(containerName)}/proxy`;
+  const proxyConfigPath = `${proxyDir}/nginx.conf`;
+  const nginx = args => buildCommand(['docker', 'exec', proxyName, 'nginx', '-c', `${PROXY_CONFIG_DIR}/nginx.conf`, ...args]);
+
+  // The live slot is recorded in the proxy's config, as long as the proxy is running
+  const proxyState = await executeCommand(ssh, `${buildCommand(['docker', 'inspect', '-f', '{{.State.Status}}', proxyName])} 2>/dev/null || true`, logCallback, true, signal);
+  const proxyConfig = await executeCommand(ssh, `${buildCommand(['cat', proxyConfigPath])} 2>/dev/null || true`, logCallback, true, signal);
+  const liveMatch = proxyState.stdout.trim() === 'running' && proxyConfig.stdout.match(/^# live: (blue|green)$/m);
+  const live = liveMatch ? liveMatch[1] : null;
+  const next = live === 'blue' ? 'green' : 'blue';
+  const candidate = slots[next];
+
+  logCallback(`Blue/green deploy: starting ${candidate.name} on 127.0.0.1:${candidate.port}...`);
+  await executeCommand(ssh, `${buildCommand(['docker', 'rm', '-f', candidate.name])} || true`, logCallback, true, signal);
+  try {
+    await runContainer(candidate.name, `127.0.0.1:${candidate.port}`);
+    await waitForHealthy(ssh, candidate.name, { type: 'http', url: `http://127.0.0.1:${candidate.port}${healthCheckPath || '/'}` }, logCallback, signal, healthCheckInterval);
+  } catch (healthError) {
+    if (!signal || !signal.aborted) {
+      await executeCommand(ssh, buildCommand(['docker', 'logs', '--tail', '50', candidate.name]), logCallback).catch(() => {});
+    }
+    await executeCommand(ssh, `${buildCommand(['docker', 'rm', '-f', candidate.name])} || true`, () => {}, true);
+    logCallback(`${candidate.name} removed, the live container was left untouched`);
+    throw healthError;
+  }
+
+  const writeProxyConfig = (slot, abortSignal) => writeRemoteFile(ssh, buildCommand([proxyConfigPath]), getProxyConfig(slot, slots[slot].port, hostPort), logCallback, abortSignal);
+  const reloadProxy = async (abortSignal) => {
+    await executeCommand(ssh, nginx(['-t']), logCallback, true, abortSignal);
+    await executeCommand(ssh, nginx(['-s', 'reload']), logCallback, true, abortSignal);
+  };
+
+  logCallback(`${candidate.name} is healthy, switching port ${hostPort} to it...`);
+  try {
+    await executeCommand(ssh, buildCommand(['mkdir', '-p', proxyDir]), logCallback, true, signal);
+    await writeProxyConfig(next, signal);
+    if (live) {
+      await reloadProxy(signal);
+    } else {
+      // First blue/green deploy: the proxy takes the host port over from the container of the
+      // previous deploy mode, which leaves the port closed until nginx has started
+      logCallback(`Starting proxy container ${proxyName} on port ${hostPort}...`);
+      if (previousImageId) {
+        await executeCommand(ssh, buildCommand(['docker', 'stop', containerName]), logCallback, false, signal);
+      }
+      await executeCommand(ssh, `${buildCommand(['docker', 'rm', '-f', proxyName])} || true`, logCallback, true, signal);
+      await executeCommand(ssh, buildCommand(['docker', 'run', '-d', '--name', proxyName, '--network', 'host', '--restart', 'unless-stopped', '-v', `${proxyDir}:${PROXY_CONFIG_DIR}:ro`, BLUEGREEN_PROXY_IMAGE, 'nginx', '-c', `${PROXY_CONFIG_DIR}/nginx.conf`, '-g', 'daemon off;']), logCallback, false, signal);
+    }
+    await waitForHealthy(ssh, proxyName, { type: 'http', url: `http://127.0.0.1:${hostPort}${healthCheckPath || '/'}` }, logCallback, signal, healthCheckInterval);
+
+    if (healthCheck && healthCheck.type) {
+      logCallback(`Running ${healthCheck.type} health check on ${candidate.name}...`);
+      await waitForHealthy(ssh, candidate.name, healthCheck, logCallback, signal, healthCheckInterval);
+    }
+  } catch (switchError) {
+    if (signal && signal.aborted) {
+      logCallback('Deployment cancelled during the switch');
+    } else {
+      logCallback(switchError.message);
+      await executeCommand(ssh, buildCommand(['docker', 'logs', '--tail', '50', candidate.name]), logCallback).catch(() => {});
+    }
+
+    // Cleanup runs without the signal so a cancelled switch still restores the old container
+    let restored;
+    if (live) {
+      logCallback(`Switching port ${hostPort} back to ${slots[live].name}...`);
+      await writeProxyConfig(live);
+      await reloadProxy();
+      restored = slots[live].name;
+    } else {
+      await executeCommand(ssh, `${buildCommand(['docker', 'rm', '-f', proxyName])} || true`, () => {}, true);
+      if (previousImageId) {
+        await executeCommand(ssh, buildCommand(['docker', 'start', containerName]), logCallback, true);
+        restored = containerName;
+      }
+    }
+    await executeCommand(ssh, `${buildCommand(['docker', 'rm', '-f', candidate.name])} || true`, () => {}, true);
+
+    if (signal && signal.aborted) {
+      throw switchError;
+    }
+    throw new Error(restored ? `${switchError.message}. Switched back to ${restored}` : `${switchError.message}. No previous container to switch back to`);
+  }
+
+  // docker stop gives requests still open on the old slot its grace period to finish. Without a
+  // live slot, this removes what an interrupted deploy may have left there.
+  const idle = slots[next === 'blue' ? 'green' : 'blue'].name;
+  logCallback(`Port ${hostPort} now serves ${candidate.name}, removing ${live ? idle : 'the previous container'}...`);
+  await executeCommand(ssh, `${buildCommand(['docker', 'stop', idle])} 2>/dev/null || true`, logCallback, true);
+  await executeCommand(ssh, `${buildCommand(['docker', 'rm', idle])} 2>/dev/null || true`, logCallback, true);
+  if (!live && previousImageId) {
+    await executeCommand(ssh, buildCommand(['docker', 'rm', containerName]), logCallback, true);
+  }
+}
+
+// nginx config that forwards TCP connections on hostPort to the given slot's local port
+function getProxyConfig(slot, slotPort, hostPort) {
+  return [
+    `# live: ${slot}`,
+    'worker_processes 1;',
+    'pid /var/run/nginx.pid;',
+    'events {}',
+    'stream {',
+    '  server {',
+    `    listen ${parseInt(hostPort, 10)};`,
+    `    proxy_pass 127.0.0.1:${slotPort};`,
+    '  }',
+    '}',
+    ''
+  ].join('\n');
+}
+
+// Compose project and ~/simple-cicd directory name for a container name
+function getStackName(containerName) {
+  return containerName.toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+}
+
+// Upload the compose file rendered from the template (plus env vars as .env, which compose
+// reads for ${VAR} interpolation) to ~/simple-cicd/<stack>, then pull and start all services.
+// {{IMAGE}} is replaced with the full image name, {{IMAGE_TAG}} with its tag.
+async function deployComposeStack(ssh, containerName, imageName, composeTemplate, envVars, logCallback, signal) {
+  const stackName = getStackName(containerName);
+  // stackName only contains [a-z0-9_-], so the path needs no quoting and ~ still expands
+  const stackDir = `~/simple-cicd/${stackName}`;
+  const imageTag = imageName.substring(imageName.lastIndexOf(':') + 1);
+  const composeFile = composeTemplate.split('{{IMAGE}}').join(imageName).split('{{IMAGE_TAG}}').join(imageTag);
+  const compose = (args) => `cd ${stackDir} && ${buildCommand(['docker', 'compose', '-p', stackName, ...args])}`;
+
+  logCallback(`Uploading compose file to ${stackDir}/docker-compose.yml...`);
+  await executeCommand(ssh, `mkdir -p ${stackDir}`, logCallback, true, signal);
+  await writeRemoteFile(ssh, `${stackDir}/docker-compose.yml`, composeFile, logCallback, signal);
+
+  const envLines = (envVars || '').split('\n').map(line => line.trim()).filter(line => line);
+  await writeRemoteFile(ssh, `${stackDir}/.env`, envLines.join('\n'), logCallback, signal);
+  if (envLines.length > 0) {
+    logCallback(`Environment variables: ${envLines.length} variable(s) written to ${stackDir}/.env`);
+  }
+
+  logCallback(`Pulling images for stack ${stackName}...`);
+  await executeCommand(ssh, compose(['pull']), logCallback, false, signal);
+
+  logCallback(`Starting stack ${stackName}...`);
+  await executeCommand(ssh, compose(['up', '-d', '--remove-orphans']), logCallback, false, signal);
+
+  // Log each service's state; services that stopped with an error fail the deploy
+  const status = await executeCommand(ssh, compose(['ps', '-a', '--format', '{{.Service}}\t{{.State}}\t{{.ExitCode}}\t{{.Status}}']), logCallback, true, signal);
+  const failed = [];
+  status.stdout.split('\n').filter(line => line.trim()).forEach(line => {
+    const [service, state, exitCode, description] = line.split('\t');
+    logCallback(`Service ${service}: ${description || state}`);
+    if (state === 'dead' || (state === 'exited' && exitCode !== '0')) {
+      failed.push(service);
+    }
+  });
+
+  if (failed.length > 0) {
+    await executeCommand(ssh, compose(['logs', '--tail', '50', ...failed]), logCallback).catch(() => {});
+    throw new Error(`Stack ${stackName}: service(s) failed to start: ${failed.join(', ')}`);
+  }
+}
+
+// Poll a container until it passes the health check.
+// healthCheck: { type: 'running' | 'docker' | 'http' | 'tcp', url, expectedStatus, port, timeout (seconds), retries }
+//   running - container is running, and healthy if the image defines a HEALTHCHECK
+//   docker  - the image's HEALTHCHECK reports healthy
+//   http    - GET url (from the server) returns expectedStatus, or any 2xx/3xx if not set
+//   tcp     - port accepts connections on the server
+async function waitForHealthy(ssh, containerName, healthCheck, logCallback, signal, interval = HEALTH_CHECK_INTERVAL_MS) {
+  const { type, url, expectedStatus, port } = healthCheck;
+  const timeout = parseInt(healthCheck.timeout, 10) || DEFAULT_HEALTH_CHECK_TIMEOUT;
+  const retries = parseInt(healthCheck.retries, 10) || DEFAULT_HEALTH_CHECK_RETRIES;
+  let lastState = 'unknown';
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    await sleep(interval, signal);
+
+    const inspect = await executeCommand(ssh, buildCommand(['docker', 'inspect', '-f', '{{.State.Status}} {{if .State.Health}}{{.State.Health.Status}}{{end}}', containerName]), logCallback, true, signal);
+    const [status, health] = inspect.stdout.trim().split(' ');
+    lastState = health ? `${status} (${health})` : status;
+
+    // A container that exited will not recover
+    if (status !== 'running') {
+      throw new Error(`Health check failed: container ${containerName} is ${lastState}`);
+    }
+
+    let passed = false;
+
+    if (type === 'running') {
+      passed = !health || health === 'healthy';
+    } else if (type === 'docker') {
+      if (!health) {
+        throw new Error(`Health check failed: image for ${containerName} does not define a HEALTHCHECK`);
+      }
+      passed = health === 'healthy';
+    } else if (type === 'http') {
+      const result = await ssh.execCommand(buildCommand(['curl', '-s', '-o', '/dev/null', '-w', '%{http_code}', '--max-time', timeout, url]));
+      const statusCode = parseInt(result.stdout, 10);
+      passed = expectedStatus
+        ? statusCode === parseInt(expectedStatus, 10)
+        : statusCode >= 200 && statusCode < 400;
+      lastState = statusCode ? `${url} returned HTTP ${statusCode}` : `${url} did not respond`;
+    } else if (type === 'tcp') {
+      const result = await ssh.execCommand(buildCommand(['timeout', timeout, 'bash', '-c', `</dev/tcp/127.0.0.1/${parseInt(port, 10)}`]));
+      passed = result.code === 0;
+      lastState = passed ? `port ${port} is open` : `port ${port} refused connection`;
+    } else {
+      throw new Error(`Unknown health check type: ${type}`);
+    }
+
+    if (passed) {
+      logCallback(`Health check passed: ${lastState}`);
+      return;
+    }
+
+    logCallback(`Health check attempt ${attempt}/${retries}: ${lastState}`);
+  }
+
+  throw new Error(`Health check failed after ${retries} attempts: ${lastState}`);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Deployment cancelled'));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Deployment cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Write content to a file on the server (filePath must already be shell-safe) through stdin,
+// so resolved secrets never appear in a command line, the process list or the job log
+async function writeRemoteFile(ssh, filePath, content, logCallback, signal) {
+  await executeCommand(ssh, `umask 077 && cat > ${filePath}`, logCallback, true, signal, content)
+    .catch(error => {
+      throw signal && signal.aborted ? error : new Error(`Could not write ${filePath} on the server`);
+    });
+}
+
+// stdin, when given, is written to the remote command's standard input
+async function executeCommand(ssh, command, logCallback, silent = false, signal, stdin) {
+  if (signal && signal.aborted) {
+    throw new Error('Deployment cancelled');
+  }
+
+  // On abort, ask the remote process to terminate and close its channel
+  let channel = null;
+  const onAbort = () => {
+    if (channel) {
+      channel.signal('TERM');
+      channel.close();
+    }
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let result;
+  try {
+    result = await ssh.execCommand(command, { stdin, onChannel: (clientChannel) => { channel = clientChannel; } });
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  if (signal && signal.aborted) {
+    throw new Error('Deployment cancelled');
+  }
 
   if (!silent) {
     if (result.stdout) {
@@ -139,5 +533,6 @@ async function executeCommand(ssh, command, logCallback, silent = false) {
 }
 
 module.exports = {
-  deployContainer
+  createDeployer,
+  deployContainer: createDeployer().deployContainer
 };
@@ -0,0 +1,130 @@
+const { validateContainerName, validateEnvVars, validateVolumes } = require('./container');
+
+// Deploy targets: the primary target comes from the top-level SSH/container fields,
+// additional targets from config.targets. Empty fields on an additional target
+// fall back to the primary target's values.
+
+const TARGET_FIELDS = ['sshHost', 'sshUser', 'containerName', 'hostPort', 'containerPort', 'envVars', 'useEnvFile', 'volumes'];
+const TARGET_SECRET_FIELDS = ['sshPassword', 'sshPrivateKey', 'sshPassphrase'];
+
+function pick(source, fields) {
+  const result = {};
+  fields.forEach(field => {
+    result[field] = source[field];
+  });
+  return result;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function resolveTargets(config) {
+  const primary = pick(config, [...TARGET_FIELDS, ...TARGET_SECRET_FIELDS]);
+  const additional = (config.targets || []).map(target => {
+    const resolved = { ...target };
+    TARGET_FIELDS.forEach(field => {
+      if (isEmpty(resolved[field])) {
+        resolved[field] = primary[field];
+      }
+    });
+    // Credentials are inherited as a set, never mixed
+    if (!target.sshPassword && !target.sshPrivateKey) {
+      TARGET_SECRET_FIELDS.forEach(field => {
+        resolved[field] = primary[field];
+      });
+    }
+    return resolved;
+  });
+
+  return [primary, ...additional].map(target => ({
+    ...target,
+    label: getTargetKey(target.sshHost, target.containerName)
+  }));
+}
+
+// Jobs deploying the same container on the same host never run concurrently
+function getTargetKey(sshHost, containerName) {
+  return `${sshHost}/${containerName}`;
+}
+
+// Returns an error message for invalid additional targets, or null
+function validateTargets(config) {
+  const { targets, targetStrategy, batchSize } = config;
+
+  if (targets !== undefined && !Array.isArray(targets)) {
+    return 'targets must be an array';
+  }
+
+  for (const [index, target] of (targets || []).entries()) {
+    if (!target || !target.sshHost) {
+      return `Target ${index + 2}: SSH host is required`;
+    }
+  }
+
+  const resolved = resolveTargets(config);
+  for (const target of resolved) {
+    const valueError = validateContainerName(target.containerName) || validateEnvVars(target.envVars) || validateVolumes(target.volumes);
+    if (valueError) {
+      return resolved.length > 1 ? `${target.label}: ${valueError}` : valueError;
+    }
+  }
+
+  const labels = resolved.map(target => target.label);
+  const duplicate = labels.find((label, index) => labels.indexOf(label) !== index);
+  if (duplicate) {
+    return `Duplicate deploy target: ${duplicate}`;
+  }
+
+  if (targetStrategy && !['parallel', 'rolling'].includes(targetStrategy)) {
+    return `Invalid target strategy: ${targetStrategy}`;
+  }
+
+  if (targetStrategy === 'rolling' && batchSize && !(parseInt(batchSize, 10) > 0)) {
+    return 'Batch size must be a positive number';
+  }
+
+  return null;
+}
+
+// Copy of the additional targets safe to store in jobs.config
+function stripTargetSecrets(targets) {
+  return (targets || []).map(target => pick(target, TARGET_FIELDS));
+}
+
+// Apply fn to each target's secret fields (used to encrypt/decrypt stored projects)
+function mapTargetSecrets(targets, fn) {
+  return (targets || []).map(target => {
+    const result = pick(target, TARGET_FIELDS);
+    TARGET_SECRET_FIELDS.forEach(field => {
+      result[field] = target[field] ? fn(target[field]) : null;
+    });
+    return result;
+  });
+}
+
+// Split targets into deploy batches: one batch for parallel, batchSize-sized batches for rolling
+function getBatches(targets, targetStrategy, batchSize) {
+  if (targetStrategy !== 'rolling') {
+    return [targets];
+  }
+
+  const size = parseInt(batchSize, 10) || 1;
+  const batches = [];
+  for (let i = 0; i < targets.length; i += size) {
+    batches.push(targets.slice(i, i + size));
+  }
+  return batches;
+}
+
+module.exports = {
+  TARGET_FIELDS,
+  TARGET_SECRET_FIELDS,
+  isEmpty,
+  resolveTargets,
+  getTargetKey,
+  validateTargets,
+  stripTargetSecrets,
+  mapTargetSecrets,
+  getBatches
+};
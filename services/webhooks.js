@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Inbound push webhooks from GitHub, GitLab and Gitea. A project's webhookBranches
+// lists which refs deploy, one per line: `main`, `main=staging`, `release/*=prod`,
+// or `tags=prod` for any Git tag push.
+
+const ZERO_SHA = /^0+$/;
+
+// Gitea also sends GitHub's headers for compatibility, so it is checked first
+function getProvider(headers) {
+  if (headers['x-gitea-event']) return 'gitea';
+  if (headers['x-github-event']) return 'github';
+  if (headers['x-gitlab-event']) return 'gitlab';
+  return null;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function hmac(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// GitHub and Gitea sign the raw body with HMAC-SHA256, GitLab sends the secret token as is
+function verifySignature(provider, headers, rawBody, secret) {
+  if (!secret || !rawBody) return false;
+
+  if (provider === 'github') {
+    return safeEqual(headers['x-hub-signature-256'], `sha256=${hmac(secret, rawBody)}`);
+  }
+  if (provider === 'gitea') {
+    return safeEqual(headers['x-gitea-signature'], hmac(secret, rawBody));
+  }
+  if (provider === 'gitlab') {
+    return safeEqual(headers['x-gitlab-token'], secret);
+  }
+  return false;
+}
+
+function isPushEvent(provider, headers) {
+  if (provider === 'gitlab') {
+    return ['Push Hook', 'Tag Push Hook'].includes(headers['x-gitlab-event']);
+  }
+  return headers[`x-${provider}-event`] === 'push';
+}
+
+// Returns { ref, branch, tag, commit }, or null for pushes that delete a ref
+function parsePush(body) {
+  const ref = body.ref || '';
+  const commit = body.checkout_sha || body.after;
+
+  if (!commit || ZERO_SHA.test(commit)) return null;
+
+  if (ref.startsWith('refs/heads/')) {
+    return { ref, branch: ref.substring('refs/heads/'.length), tag: null, commit };
+  }
+  if (ref.startsWith('refs/tags/')) {
+    return { ref, branch: null, tag: ref.substring('refs/tags/'.length), commit };
+  }
+  return null;
+}
+
+// Returns { environment } for the first matching line of webhookBranches, or null
+function matchPush(webhookBranches, push) {
+  const lines = (webhookBranches || '').split('\n').map(line => line.trim()).filter(line => line);
+
+  for (const line of lines) {
+    const separator = line.indexOf('=');
+    const pattern = (separator === -1 ? line : line.substring(0, separator)).trim();
+    const environment = separator === -1 ? null : line.substring(separator + 1).trim() || null;
+
+    const matches = push.tag
+      ? pattern === 'tags'
+      : pattern === push.branch || (pattern.endsWith('*') && push.branch.startsWith(pattern.slice(0, -1)));
+
+    if (matches) {
+      return { environment };
+    }
+  }
+
+  return null;
+}
+
+// Git tags are used as the image tag, branch pushes are tagged with the short commit SHA
+function getImageTag(push) {
+  if (!push.tag) {
+    return push.commit.substring(0, 7);
+  }
+  // Docker tags allow [A-Za-z0-9_.-], up to 128 characters, not starting with "." or "-"
+  return push.tag.replace(/[^A-Za-z0-9_.-]/g, '-').replace(/^[.-]+/, '').substring(0, 128) || push.commit.substring(0, 7);
+}
+
+module.exports = {
+  getProvider,
+  verifySignature,
+  isPushEvent,
+  parsePush,
+  matchPush,
+  getImageTag
+};
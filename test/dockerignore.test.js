@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const tar = require('tar-fs');
+const { createContextFilter } = require('../services/dockerignore');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'dockerignore');
+
+// Files tar-fs packs into the build context with the filter, as docker.js sends them
+function packContext(contextPath, dockerfilePath) {
+  const { ignoreFile, ignore } = createContextFilter(contextPath, dockerfilePath);
+  const files = [];
+  return new Promise((resolve, reject) => {
+    const stream = tar.pack(contextPath, {
+      ignore,
+      map: (header) => {
+        if (header.type === 'file') {
+          files.push(header.name);
+        }
+        return header;
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve({ ignoreFile, files: files.sort() }));
+    stream.resume();
+  });
+}
+
+test('applies patterns, ** and negations from the context .dockerignore', async () => {
+  const contextPath = path.join(FIXTURES, 'context');
+  const { ignoreFile, files } = await packContext(contextPath, path.join(contextPath, 'Dockerfile'));
+
+  assert.strictEqual(ignoreFile, path.join(contextPath, '.dockerignore'));
+  assert.deepStrictEqual(files, [
+    '.dockerignore',
+    'Dockerfile',
+    'app.txt',
+    'docs/README.md',
+    'output/keep.out',
+    'secrets/public.txt',
+    'src/main.txt'
+  ]);
+});
+
+test('patterns without a slash only match at the context root', async () => {
+  const contextPath = path.join(FIXTURES, 'context');
+  const { ignore } = createContextFilter(contextPath, path.join(contextPath, 'Dockerfile'));
+
+  assert.strictEqual(ignore(path.join(contextPath, 'debug.out')), true);
+  assert.strictEqual(ignore(path.join(contextPath, 'output', 'keep.out')), false);
+});
+
+test('** matches files at any depth', async () => {
+  const contextPath = path.join(FIXTURES, 'context');
+  const { ignore } = createContextFilter(contextPath, path.join(contextPath, 'Dockerfile'));
+
+  assert.strictEqual(ignore(path.join(contextPath, 'src', 'cache.tmp')), true);
+  assert.strictEqual(ignore(path.join(contextPath, 'src', 'deep', 'nested.tmp')), true);
+  assert.strictEqual(ignore(path.join(contextPath, 'src', 'main.txt')), false);
+});
+
+test('prunes excluded directories unless a negation re-includes something below them', async () => {
+  const contextPath = path.join(FIXTURES, 'context');
+  const { ignore } = createContextFilter(contextPath, path.join(contextPath, 'Dockerfile'));
+
+  // vendor has no re-included children, so tar-fs does not walk it at all
+  assert.strictEqual(ignore(path.join(contextPath, 'vendor')), true);
+  // docs is excluded, but !docs/README.md needs it walked
+  assert.strictEqual(ignore(path.join(contextPath, 'docs')), false);
+  assert.strictEqual(ignore(path.join(contextPath, 'docs', 'guide.md')), true);
+  assert.strictEqual(ignore(path.join(contextPath, 'docs', 'README.md')), false);
+});
+
+test('a <Dockerfile>.dockerignore takes precedence over the context .dockerignore', async () => {
+  const contextPath = path.join(FIXTURES, 'per-dockerfile');
+  const dockerfilePath = path.join(contextPath, 'build', 'Dockerfile');
+  const { ignoreFile, files } = await packContext(contextPath, dockerfilePath);
+
+  assert.strictEqual(ignoreFile, `${dockerfilePath}.dockerignore`);
+  // build is excluded, but the Dockerfile and its ignore file inside it are still sent;
+  // **/*.txt from the context .dockerignore does not apply
+  assert.deepStrictEqual(files, [
+    '.dockerignore',
+    'build/Dockerfile',
+    'build/Dockerfile.dockerignore',
+    'src/main.txt'
+  ]);
+});
+
+test('falls back to the context .dockerignore when the Dockerfile has none', async () => {
+  const contextPath = path.join(FIXTURES, 'per-dockerfile');
+  const { ignoreFile, files } = await packContext(contextPath, path.join(contextPath, 'Dockerfile'));
+
+  assert.strictEqual(ignoreFile, path.join(contextPath, '.dockerignore'));
+  assert.deepStrictEqual(files, [
+    '.dockerignore',
+    'README.md',
+    'build/Dockerfile',
+    'build/Dockerfile.dockerignore'
+  ]);
+});
+
+test('sends everything without an ignore file', async () => {
+  const contextPath = path.join(FIXTURES, 'per-dockerfile', 'src');
+  const { ignoreFile, files } = await packContext(contextPath, path.join(contextPath, 'Dockerfile'));
+
+  assert.strictEqual(ignoreFile, null);
+  assert.deepStrictEqual(files, ['main.txt']);
+});
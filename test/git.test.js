@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Caches and worktrees go to a temporary WORKSPACE_DIR, which git.js reads when it is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-cicd-git-'));
+process.env.WORKSPACE_DIR = path.join(tempDir, 'workspaces');
+const { checkoutRepository } = require('../services/git');
+
+const env = { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, env, encoding: 'utf8' }).trim();
+
+// A bare repository with main (tagged v1.0, annotated) and release/1.4, one commit ahead
+const sourceDir = path.join(tempDir, 'source');
+const bareDir = path.join(tempDir, 'shop.git');
+fs.mkdirSync(sourceDir);
+git(sourceDir, 'init', '--quiet', '--initial-branch=main');
+fs.writeFileSync(path.join(sourceDir, 'VERSION'), '1.0\n');
+git(sourceDir, 'add', 'VERSION');
+git(sourceDir, 'commit', '--quiet', '-m', 'Release 1.0');
+git(sourceDir, 'tag', '-a', 'v1.0', '-m', 'Version 1.0');
+const mainCommit = git(sourceDir, 'rev-parse', 'HEAD');
+git(sourceDir, 'checkout', '--quiet', '-b', 'release/1.4');
+fs.writeFileSync(path.join(sourceDir, 'VERSION'), '1.4\n');
+git(sourceDir, 'commit', '--quiet', '-am', 'Release 1.4');
+const releaseCommit = git(sourceDir, 'rev-parse', 'HEAD');
+git(sourceDir, 'checkout', '--quiet', 'main');
+git(tempDir, 'clone', '--quiet', '--bare', sourceDir, bareDir);
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let jobId = 0;
+const checkout = (repoUrl, ref) => checkoutRepository(++jobId, repoUrl, ref, {}, () => {});
+
+test('checks out branches, annotated tags, commit SHAs and the default branch', async () => {
+  const cases = [['release/1.4', releaseCommit, '1.4'], ['v1.0', mainCommit, '1.0'], [releaseCommit.substring(0, 7), releaseCommit, '1.4'], ['', mainCommit, '1.0']];
+
+  for (const [ref, commit, version] of cases) {
+    const result = await checkout(bareDir, ref);
+    assert.strictEqual(result.commit, commit, ref);
+    assert.strictEqual(fs.readFileSync(path.join(result.path, 'VERSION'), 'utf8'), `${version}\n`, ref);
+    await result.cleanup();
+    assert.ok(!fs.existsSync(result.path), ref);
+  }
+});
+
+test('rejects refs and URLs that git could read as options or that are not ref names', async () => {
+  await assert.rejects(checkout(bareDir, '--upload-pack=touch pwned'), /Invalid Git ref: --upload-pack=touch pwned/);
+  await assert.rejects(checkout(bareDir, '-b'), /Invalid Git ref/);
+  await assert.rejects(checkout(bareDir, 'main..release'), /Invalid Git ref/);
+  await assert.rejects(checkout(bareDir, 'feature branch'), /Invalid Git ref/);
+  await assert.rejects(checkout(bareDir, 'main^{tree}'), /Invalid Git ref/);
+  await assert.rejects(checkout('--upload-pack=touch pwned', 'main'), /Invalid repository URL/);
+  assert.ok(!fs.existsSync(path.join(process.cwd(), 'pwned')));
+});
+
+test('reports refs that do not exist in the repository', async () => {
+  await assert.rejects(checkout(bareDir, 'release/2.0'), /Git ref not found: release\/2.0/);
+  await assert.rejects(checkout(bareDir, 'deadbeef'), /Git ref not found: deadbeef/);
+});
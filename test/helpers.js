@@ -0,0 +1,28 @@
+// SSH client for deploy tests: records every command (and in stdin, what was written to its
+// standard input) and answers from respond(command), which returns { code, stdout, stderr }
+// overrides (code 0 and empty output by default)
+function createFakeSsh(respond = () => ({})) {
+  const commands = [];
+  const stdin = [];
+  return {
+    commands,
+    stdin,
+    connected: null,
+    disposed: false,
+    async connect(config) {
+      this.connected = config;
+    },
+    async execCommand(command, options = {}) {
+      commands.push(command);
+      stdin.push(options.stdin);
+      return { code: 0, stdout: '', stderr: '', ...respond(command) };
+    },
+    dispose() {
+      this.disposed = true;
+    }
+  };
+}
+
+module.exports = {
+  createFakeSsh
+};
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseReport, getScanResult, formatSummary, getScannerContainer, validateScan } = require('../services/scan');
+
+const readReport = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'scan', name), 'utf8');
+
+test('parses Trivy reports from every result, including results without vulnerabilities', () => {
+  const findings = parseReport('trivy', readReport('trivy-report.json'));
+
+  assert.deepStrictEqual(findings.map(finding => [finding.id, finding.severity, finding.package]), [
+    ['CVE-2024-0727', 'MEDIUM', 'libcrypto3'],
+    ['CVE-2023-52425', 'HIGH', 'libexpat'],
+    ['CVE-2024-29041', 'CRITICAL', 'express'],
+    ['GHSA-xxxx-yyyy-zzzz', 'UNKNOWN', 'left-pad']
+  ]);
+  assert.deepStrictEqual(findings[2], {
+    id: 'CVE-2024-29041',
+    severity: 'CRITICAL',
+    package: 'express',
+    installedVersion: '4.18.2',
+    fixedVersion: '4.19.2',
+    title: 'express: cause malformed URLs to be evaluated',
+    target: 'app/package-lock.json'
+  });
+  // Empty and missing fixed versions both mean no fix
+  assert.strictEqual(findings[1].fixedVersion, null);
+  assert.strictEqual(findings[3].fixedVersion, null);
+});
+
+test('parses Grype reports and normalizes their severities', () => {
+  const findings = parseReport('grype', readReport('grype-report.json'));
+
+  assert.deepStrictEqual(findings.map(finding => [finding.id, finding.severity]), [
+    ['CVE-2024-29041', 'CRITICAL'],
+    ['CVE-2023-52425', 'HIGH'],
+    ['CVE-2005-2541', 'LOW'],
+    ['CVE-2024-9999', 'UNKNOWN']
+  ]);
+  assert.strictEqual(findings[0].target, '/app/package-lock.json');
+  assert.strictEqual(findings[1].fixedVersion, null);
+  assert.strictEqual(findings[2].fixedVersion, '1.35-r3, 1.36');
+  assert.strictEqual(findings[2].target, null);
+  assert.strictEqual(findings[3].package, 'busybox');
+});
+
+test('rejects reports that are not JSON', () => {
+  assert.throws(() => parseReport('trivy', 'FATAL: image not found'), /Failed to parse trivy report/);
+});
+
+test('counts a vulnerability found in several platform images once and lists its platforms', () => {
+  const result = getScanResult({ scanner: 'trivy', image: 'aquasec/trivy:0.50.0' }, [
+    { platform: 'linux/amd64', findings: parseReport('trivy', readReport('trivy-report.json')) },
+    { platform: 'linux/arm64', findings: parseReport('trivy', readReport('trivy-report-arm64.json')) }
+  ]);
+
+  assert.strictEqual(result.total, 5);
+  assert.deepStrictEqual(result.summary, { CRITICAL: 1, HIGH: 1, MEDIUM: 1, LOW: 1, UNKNOWN: 1 });
+  // Most severe first
+  assert.deepStrictEqual(result.findings.map(finding => [finding.id, finding.platforms]), [
+    ['CVE-2024-29041', ['linux/amd64']],
+    ['CVE-2023-52425', ['linux/amd64']],
+    ['CVE-2024-0727', ['linux/amd64', 'linux/arm64']],
+    ['CVE-2024-2511', ['linux/arm64']],
+    ['GHSA-xxxx-yyyy-zzzz', ['linux/amd64']]
+  ]);
+});
+
+test('single-platform scans list no platforms', () => {
+  const result = getScanResult({ scanner: 'grype', image: 'anchore/grype:v0.74.0' }, [
+    { platform: null, findings: parseReport('grype', readReport('grype-report.json')) }
+  ]);
+
+  assert.strictEqual(result.total, 4);
+  assert.ok(result.findings.every(finding => finding.platforms.length === 0));
+});
+
+test('failOn fails the scan on findings of that severity or worse', () => {
+  const reports = [{ platform: null, findings: parseReport('trivy', readReport('trivy-report-arm64.json')) }];
+  const withFailOn = (failOn) => getScanResult({ scanner: 'trivy', image: 'aquasec/trivy', failOn }, reports);
+
+  // MEDIUM and LOW findings only
+  assert.deepStrictEqual([withFailOn('CRITICAL').passed, withFailOn('CRITICAL').violations], [true, []]);
+  assert.deepStrictEqual([withFailOn('HIGH').passed, withFailOn('HIGH').violations], [true, []]);
+  assert.deepStrictEqual([withFailOn('MEDIUM').passed, withFailOn('MEDIUM').violations], [false, ['MEDIUM']]);
+  assert.deepStrictEqual([withFailOn('LOW').passed, withFailOn('LOW').violations], [false, ['MEDIUM', 'LOW']]);
+  // Without a threshold the scan only reports
+  assert.strictEqual(withFailOn(undefined).passed, true);
+  assert.strictEqual(withFailOn(undefined).failOn, null);
+});
+
+test('UNKNOWN findings never fail a scan', () => {
+  const findings = [{ id: 'X-1', severity: 'UNKNOWN', package: 'pkg', installedVersion: '1' }];
+  const result = getScanResult({ scanner: 'trivy', image: 'aquasec/trivy', failOn: 'LOW' }, [{ platform: null, findings }]);
+  assert.strictEqual(result.passed, true);
+});
+
+test('formats the summary for the job log', () => {
+  assert.strictEqual(formatSummary({ CRITICAL: 1, HIGH: 3, LOW: 7 }), 'CRITICAL 1, HIGH 3, MEDIUM 0, LOW 7, UNKNOWN 0');
+});
+
+test('runs scanners offline against the local image through the Docker socket', () => {
+  const trivy = getScannerContainer({ scanner: 'trivy', image: 'aquasec/trivy:0.50.0', ignoreUnfixed: true }, 'app:1.2', '/var/run/docker.sock');
+  assert.deepStrictEqual(trivy.Cmd, ['image', '--format', 'json', '--quiet', '--skip-db-update', '--skip-java-db-update', '--offline-scan', '--ignore-unfixed', 'app:1.2']);
+  assert.deepStrictEqual(trivy.HostConfig.Binds, ['/var/run/docker.sock:/var/run/docker.sock']);
+
+  const grype = getScannerContainer({ scanner: 'grype', image: 'anchore/grype:v0.74.0' }, 'app:1.2', '/run/docker.sock');
+  assert.deepStrictEqual(grype.Cmd, ['docker:app:1.2', '--output', 'json']);
+  assert.ok(grype.Env.includes('GRYPE_DB_AUTO_UPDATE=false'));
+  assert.deepStrictEqual(grype.HostConfig.Binds, ['/run/docker.sock:/var/run/docker.sock']);
+});
+
+test('validates scan settings', () => {
+  assert.strictEqual(validateScan(null), null);
+  assert.strictEqual(validateScan({ enabled: false, scanner: 'other' }), null);
+  assert.match(validateScan({ enabled: true, scanner: 'clair', image: 'x' }), /Invalid scanner/);
+  assert.match(validateScan({ enabled: true, scanner: 'trivy' }), /scanner image/);
+  assert.match(validateScan({ enabled: true, scanner: 'trivy', image: 'x', failOn: 'UNKNOWN' }), /Invalid scan threshold/);
+  assert.match(validateScan({ enabled: true, scanner: 'grype', image: 'x', timeout: 'soon' }), /timeout/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const { quote, buildCommand, splitArgs } = require('../services/shell');
+
+// What /bin/sh receives as arguments for a command line built by buildCommand
+function shellArgs(args) {
+  const output = execFileSync('/bin/sh', ['-c', `printf '%s\\0' ${buildCommand(args)}`]);
+  return output.toString().split('\0').slice(0, -1);
+}
+
+const HOSTILE_VALUES = [
+  "it's",
+  "'",
+  "a; rm -rf /",
+  "$(id)",
+  "`id`",
+  "${HOME}",
+  "line one\nline two",
+  "-rf",
+  "--privileged",
+  "a b\tc",
+  "\\'\"",
+  "*",
+  ""
+];
+
+test('quote leaves safe arguments unquoted', () => {
+  assert.strictEqual(quote('registry.example.com/app:1.2'), 'registry.example.com/app:1.2');
+  assert.strictEqual(quote('KEY=value'), 'KEY=value');
+  assert.strictEqual(quote(8080), '8080');
+});
+
+test('quote wraps other arguments in single quotes', () => {
+  assert.strictEqual(quote("it's"), "'it'\\''s'");
+  assert.strictEqual(quote('a; b'), "'a; b'");
+  assert.strictEqual(quote('$(id)'), "'$(id)'");
+  assert.strictEqual(quote('line\nbreak'), "'line\nbreak'");
+  assert.strictEqual(quote(''), "''");
+});
+
+test('every hostile value reaches the shell as one literal argument', () => {
+  HOSTILE_VALUES.forEach(value => {
+    assert.deepStrictEqual(shellArgs([value]), [value]);
+  });
+  assert.deepStrictEqual(shellArgs(HOSTILE_VALUES), HOSTILE_VALUES);
+});
+
+test('buildCommand leaves out null and undefined arguments', () => {
+  assert.strictEqual(buildCommand(['docker', 'login', null, '--password-stdin', undefined, 'ghcr.io']), 'docker login --password-stdin ghcr.io');
+});
+
+test('buildCommand keeps leading dashes inside their argument', () => {
+  assert.strictEqual(buildCommand(['docker', 'rm', '-f', '-x y']), "docker rm -f '-x y'");
+});
+
+test('splitArgs splits on whitespace', () => {
+  assert.deepStrictEqual(splitArgs('  npm run   start:prod\n'), ['npm', 'run', 'start:prod']);
+  assert.deepStrictEqual(splitArgs(''), []);
+});
+
+test('splitArgs honours quotes and backslashes', () => {
+  assert.deepStrictEqual(splitArgs(`sh -c 'echo $(id); ls'`), ['sh', '-c', 'echo $(id); ls']);
+  assert.deepStrictEqual(splitArgs(`echo "it's \\"quoted\\" \\$HOME"`), ['echo', `it's "quoted" $HOME`]);
+  assert.deepStrictEqual(splitArgs(`a\\ b c\\'d`), ['a b', "c'd"]);
+  assert.deepStrictEqual(splitArgs(`'' -v`), ['', '-v']);
+  assert.deepStrictEqual(splitArgs(`"line\none"`), ['line\none']);
+});
+
+test('splitArgs does not interpret shell operators', () => {
+  assert.deepStrictEqual(splitArgs('echo a; rm -rf / && $(id)'), ['echo', 'a;', 'rm', '-rf', '/', '&&', '$(id)']);
+});
+
+test('splitArgs rejects unbalanced quotes', () => {
+  assert.throws(() => splitArgs(`echo 'open`), /Unbalanced ' quote/);
+  assert.throws(() => splitArgs('echo "open'), /Unbalanced " quote/);
+});
+
+test('splitArgs output survives buildCommand unchanged', () => {
+  const args = splitArgs(`sh -c 'echo "$1"; exit 3' -- "it's" --force`);
+  assert.deepStrictEqual(shellArgs(args), args);
+});
@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDeployer } = require('../services/ssh');
+const { createFakeSsh } = require('./helpers');
+
+const IMAGE = 'registry.example.com/app:1.2';
+const INSPECT_PREVIOUS = "docker inspect -f '{{.Image}} {{.Config.Image}}' web 2>/dev/null || true";
+const INSPECT_STATE = "docker inspect -f '{{.State.Status}} {{if .State.Health}}{{.State.Health.Status}}{{end}}'";
+const CLEANUP_BLUEGREEN = 'docker rm -f web-proxy web-blue web-green 2>/dev/null || true';
+
+// A server where web runs registry.example.com/app:1.1 and every container starts healthy
+function respondRunning(command) {
+  if (command === INSPECT_PREVIOUS) return { stdout: 'sha256:old registry.example.com/app:1.1\n' };
+  if (command.startsWith(INSPECT_STATE)) return { stdout: 'running \n' };
+  if (command.startsWith('curl ')) return { stdout: '200' };
+  return {};
+}
+
+// Deploys IMAGE as container web on port 8080 -> 3000 and returns the commands sent
+async function deploy({ envVars = '', useEnvFile = false, volumes = '', deployOptions = {}, respond = respondRunning, logs = [] } = {}) {
+  const ssh = createFakeSsh(respond);
+  const { deployContainer } = createDeployer({ createConnection: () => ssh, healthCheckInterval: 0 });
+  let error = null;
+  try {
+    await deployContainer('203.0.113.10', 'deploy', 'secret', IMAGE, 'web', 8080, 3000, null, null, envVars, useEnvFile, volumes, deployOptions, line => logs.push(line));
+  } catch (deployError) {
+    error = deployError;
+  }
+  assert.ok(ssh.disposed, 'connection is closed');
+  return { commands: ssh.commands, stdin: ssh.stdin, error, connected: ssh.connected };
+}
+
+test('recreate replaces the container with shell-quoted run arguments', async () => {
+  const { commands, error, connected } = await deploy({
+    envVars: "GREETING=it's; rm -rf / $(id)\nDEBUG",
+    volumes: "/srv/it's data:/data",
+    deployOptions: {
+      containerOptions: { command: "sh -c 'echo $(id); ls' -v", entrypoint: '--privileged', labels: 'note=a;b' }
+    }
+  });
+
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(connected, { host: '203.0.113.10', username: 'deploy', password: 'secret' });
+  assert.deepStrictEqual(commands, [
+    `docker pull ${IMAGE}`,
+    INSPECT_PREVIOUS,
+    CLEANUP_BLUEGREEN,
+    'docker stop web || true',
+    'docker rm web || true',
+    `docker run -d --name web -p 8080:3000 -e 'GREETING=it'\\''s; rm -rf / $(id)' -e DEBUG -v '/srv/it'\\''s data:/data' --label 'note=a;b' --entrypoint --privileged ${IMAGE} sh -c 'echo $(id); ls' -v`
+  ]);
+});
+
+test('registry login sends the password on stdin and quotes the username', async () => {
+  const { commands, stdin } = await deploy({
+    deployOptions: { registryAuth: { username: "o'brien", password: "pa$$ 'word'", serveraddress: 'registry.example.com' } }
+  });
+
+  assert.strictEqual(commands[0], "docker login --username 'o'\\''brien' --password-stdin registry.example.com");
+  assert.strictEqual(stdin[0], "pa$$ 'word'");
+  assert.ok(commands.every(command => !command.includes('pa$$') && !command.includes(Buffer.from("pa$$ 'word'").toString('base64'))));
+  assert.strictEqual(commands[1], `docker pull ${IMAGE}`);
+});
+
+test('recreate rolls back to the previous image when the health check fails', async () => {
+  const respond = command => command.startsWith('curl ') ? { stdout: '503' } : respondRunning(command);
+  const { commands, error } = await deploy({
+    deployOptions: { healthCheck: { type: 'http', url: 'http://127.0.0.1:8080/health', retries: 2 } },
+    respond
+  });
+
+  assert.match(error.message, /Health check failed after 2 attempts: .*HTTP 503. Rolled back to previous image registry.example.com\/app:1.1/);
+  assert.deepStrictEqual(commands, [
+    `docker pull ${IMAGE}`,
+    INSPECT_PREVIOUS,
+    CLEANUP_BLUEGREEN,
+    'docker stop web || true',
+    'docker rm web || true',
+    `docker run -d --name web -p 8080:3000 ${IMAGE}`,
+    `${INSPECT_STATE} web`,
+    "curl -s -o /dev/null -w '%{http_code}' --max-time 5 http://127.0.0.1:8080/health",
+    `${INSPECT_STATE} web`,
+    "curl -s -o /dev/null -w '%{http_code}' --max-time 5 http://127.0.0.1:8080/health",
+    'docker logs --tail 50 web',
+    'docker stop web || true',
+    'docker rm web || true',
+    'docker run -d --name web -p 8080:3000 sha256:old'
+  ]);
+});
+
+const INSPECT_PROXY = "docker inspect -f '{{.State.Status}}' web-proxy 2>/dev/null || true";
+const PROXY_CONFIG = '/home/deploy/simple-cicd/web/proxy/nginx.conf';
+const NGINX = 'docker exec web-proxy nginx -c /etc/nginx/simple-cicd/nginx.conf';
+const curl = url => `curl -s -o /dev/null -w '%{http_code}' --max-time 5 ${url}`;
+
+// A server where the blue/green proxy runs and forwards port 8080 to web-blue
+function respondBlueLive(command) {
+  if (command === 'echo "$HOME"') return { stdout: '/home/deploy\n' };
+  if (command === INSPECT_PROXY) return { stdout: 'running\n' };
+  if (command === `cat ${PROXY_CONFIG} 2>/dev/null || true`) return { stdout: '# live: blue\nworker_processes 1;\n' };
+  if (command === INSPECT_PREVIOUS) return {};
+  return respondRunning(command);
+}
+
+test('bluegreen moves the host port to the new slot with a proxy reload before stopping the old one', async () => {
+  const { commands, stdin, error } = await deploy({ deployOptions: { deployMode: 'bluegreen', alternatePort: 8081, healthCheckPath: '/health' }, respond: respondBlueLive });
+
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(commands, [
+    `docker pull ${IMAGE}`,
+    INSPECT_PREVIOUS,
+    'echo "$HOME"',
+    INSPECT_PROXY,
+    `cat ${PROXY_CONFIG} 2>/dev/null || true`,
+    'docker rm -f web-green || true',
+    `docker run -d --name web-green -p 127.0.0.1:8082:3000 ${IMAGE}`,
+    `${INSPECT_STATE} web-green`,
+    curl('http://127.0.0.1:8082/health'),
+    'mkdir -p /home/deploy/simple-cicd/web/proxy',
+    `umask 077 && cat > ${PROXY_CONFIG}`,
+    `${NGINX} -t`,
+    `${NGINX} -s reload`,
+    `${INSPECT_STATE} web-proxy`,
+    curl('http://127.0.0.1:8080/health'),
+    'docker stop web-blue 2>/dev/null || true',
+    'docker rm web-blue 2>/dev/null || true'
+  ]);
+  const config = stdin[commands.indexOf(`umask 077 && cat > ${PROXY_CONFIG}`)];
+  assert.match(config, /^# live: green\n/);
+  assert.match(config, /listen 8080;\n\s+proxy_pass 127\.0\.0\.1:8082;/);
+});
+
+test('bluegreen takes the host port over from a recreate-mode container on its first deploy', async () => {
+  const respond = command => command === 'echo "$HOME"' ? { stdout: '/home/deploy\n' } : respondRunning(command);
+  const { commands, stdin, error } = await deploy({ deployOptions: { deployMode: 'bluegreen', alternatePort: 8081 }, respond });
+
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(commands.slice(5), [
+    'docker rm -f web-blue || true',
+    `docker run -d --name web-blue -p 127.0.0.1:8081:3000 ${IMAGE}`,
+    `${INSPECT_STATE} web-blue`,
+    curl('http://127.0.0.1:8081/'),
+    'mkdir -p /home/deploy/simple-cicd/web/proxy',
+    `umask 077 && cat > ${PROXY_CONFIG}`,
+    'docker stop web',
+    'docker rm -f web-proxy || true',
+    "docker run -d --name web-proxy --network host --restart unless-stopped -v /home/deploy/simple-cicd/web/proxy:/etc/nginx/simple-cicd:ro nginx:1.27-alpine nginx -c /etc/nginx/simple-cicd/nginx.conf -g 'daemon off;'",
+    `${INSPECT_STATE} web-proxy`,
+    curl('http://127.0.0.1:8080/'),
+    'docker stop web-green 2>/dev/null || true',
+    'docker rm web-green 2>/dev/null || true',
+    'docker rm web'
+  ]);
+  assert.match(stdin[commands.indexOf(`umask 077 && cat > ${PROXY_CONFIG}`)], /proxy_pass 127\.0\.0\.1:8081;/);
+});
+
+test('bluegreen switches the proxy back when the post-deploy health check fails', async () => {
+  const respond = command => command.includes('/ready') ? { stdout: '503' } : respondBlueLive(command);
+  const { commands, stdin, error } = await deploy({
+    deployOptions: { deployMode: 'bluegreen', alternatePort: 8081, healthCheck: { type: 'http', url: 'http://127.0.0.1:8080/ready', retries: 1 } },
+    respond
+  });
+
+  assert.match(error.message, /Health check failed after 1 attempts: .*HTTP 503. Switched back to web-blue$/);
+  assert.deepStrictEqual(commands.slice(15), [
+    `${INSPECT_STATE} web-green`,
+    curl('http://127.0.0.1:8080/ready'),
+    'docker logs --tail 50 web-green',
+    `umask 077 && cat > ${PROXY_CONFIG}`,
+    `${NGINX} -t`,
+    `${NGINX} -s reload`,
+    'docker rm -f web-green || true'
+  ]);
+  assert.match(stdin[18], /^# live: blue\n[^]*proxy_pass 127\.0\.0\.1:8081;/);
+  assert.ok(!commands.some(command => command.includes('docker stop web-blue')));
+});
+
+test('bluegreen leaves the live container untouched when the candidate is unhealthy', async () => {
+  const respond = command => command.startsWith('curl ') && command.includes(':8082') ? { stdout: '500' } : respondBlueLive(command);
+  const { commands, error } = await deploy({ deployOptions: { deployMode: 'bluegreen', alternatePort: 8081 }, respond });
+
+  assert.match(error.message, /Health check failed/);
+  assert.ok(!commands.some(command => command.includes('web-blue') || command.includes('web-proxy nginx') || command.includes('cat >')));
+  assert.deepStrictEqual(commands.slice(-2), ['docker logs --tail 50 web-green', 'docker rm -f web-green || true']);
+});
+
+test('compose uploads the rendered template and env file, then starts the stack', async () => {
+  const template = 'services:\n  web:\n    image: {{IMAGE}}\n    labels:\n      tag: "{{IMAGE_TAG}}"\n';
+  const envVars = "A=$(id)\nB=it's; rm -rf /";
+  const respond = command => command.includes(' ps -a ') ? { stdout: 'web\trunning\t0\tUp 1 second\n' } : {};
+  const { commands, stdin, error } = await deploy({ envVars, deployOptions: { deployMode: 'compose', composeTemplate: template }, respond });
+
+  const composeFile = `services:\n  web:\n    image: ${IMAGE}\n    labels:\n      tag: "1.2"\n`;
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(commands, [
+    'mkdir -p ~/simple-cicd/web',
+    'umask 077 && cat > ~/simple-cicd/web/docker-compose.yml',
+    'umask 077 && cat > ~/simple-cicd/web/.env',
+    'cd ~/simple-cicd/web && docker compose -p web pull',
+    'cd ~/simple-cicd/web && docker compose -p web up -d --remove-orphans',
+    "cd ~/simple-cicd/web && docker compose -p web ps -a --format '{{.Service}}\t{{.State}}\t{{.ExitCode}}\t{{.Status}}'"
+  ]);
+  assert.deepStrictEqual(stdin.slice(1, 3), [composeFile, envVars]);
+});
+
+test('env files are written through stdin and a failed write keeps their values out of the log', async () => {
+  const logs = [];
+  const respond = command => command.startsWith('umask 077 && cat > ') ? { code: 1, stderr: 'No space left on device' } : respondRunning(command);
+  const { commands, stdin, error } = await deploy({ envVars: 'API_KEY=s3cr3t\nDEBUG=1', useEnvFile: true, respond, logs });
+
+  assert.match(commands[1], /^umask 077 && cat > \/tmp\/\.env-web-\d+$/);
+  assert.strictEqual(stdin[1], 'API_KEY=s3cr3t\nDEBUG=1');
+  assert.match(error.message, /^Could not write \/tmp\/\.env-web-\d+ on the server$/);
+  const encoded = Buffer.from('API_KEY=s3cr3t').toString('base64').slice(0, 12);
+  assert.ok([...commands, ...logs, error.message].every(text => !text.includes('s3cr3t') && !text.includes(encoded)));
+});
+
+test('compose fails when a service exits with an error', async () => {
+  const respond = command => command.includes(' ps -a ') ? { stdout: 'web\trunning\t0\tUp\nworker\texited\t1\tExited (1)\n' } : {};
+  const { commands, error } = await deploy({ deployOptions: { deployMode: 'compose', composeTemplate: 'image: {{IMAGE}}' }, respond });
+
+  assert.match(error.message, /service\(s\) failed to start: worker/);
+  assert.strictEqual(commands[commands.length - 1], 'cd ~/simple-cicd/web && docker compose -p web logs --tail 50 worker');
+});
+
+test('values that could start another command or option are rejected before connecting', async () => {
+  const ssh = createFakeSsh();
+  const { deployContainer } = createDeployer({ createConnection: () => ssh, healthCheckInterval: 0 });
+  const attempt = (containerName, envVars, volumes) => deployContainer('203.0.113.10', 'deploy', 'secret', IMAGE, containerName, 8080, 3000, null, null, envVars, false, volumes, {}, () => {});
+
+  await assert.rejects(attempt('-web', '', ''), /Invalid container name/);
+  await assert.rejects(attempt('web;reboot', '', ''), /Invalid container name/);
+  await assert.rejects(attempt('web', '$(id)=1', ''), /Invalid environment variable/);
+  await assert.rejects(attempt('web', '', '--privileged'), /Invalid volume/);
+  await assert.rejects(attempt('web', '', '/data\n/x\u0000'), /Invalid volume/);
+  assert.strictEqual(ssh.connected, null);
+  assert.deepStrictEqual(ssh.commands, []);
+});
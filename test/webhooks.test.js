@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getProvider, verifySignature, isPushEvent, parsePush, matchPush, getImageTag } = require('../services/webhooks');
+
+// Deliveries are signed with the secret from GitHub's webhook documentation
+const SECRET = "It's a Secret to Everybody";
+
+// Returns the raw body, parsed body and headers of a recorded delivery
+const readDelivery = (name) => {
+  const rawBody = fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', `${name}.json`));
+  const headers = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', `${name}.headers.json`), 'utf8'));
+  return { rawBody, body: JSON.parse(rawBody), headers };
+};
+
+test('detects the provider and push events, preferring Gitea over the GitHub headers it also sends', () => {
+  const deliveries = { 'github-push': 'github', 'gitea-push': 'gitea', 'gitlab-tag-push': 'gitlab' };
+
+  for (const [name, provider] of Object.entries(deliveries)) {
+    const { headers } = readDelivery(name);
+    assert.strictEqual(getProvider(headers), provider, name);
+    assert.ok(isPushEvent(provider, headers), name);
+  }
+  assert.strictEqual(getProvider({ 'content-type': 'application/json' }), null);
+  assert.ok(!isPushEvent('github', { 'x-github-event': 'ping' }));
+  assert.ok(!isPushEvent('gitlab', { 'x-gitlab-event': 'Merge Request Hook' }));
+});
+
+test('accepts deliveries signed with the project secret', () => {
+  for (const name of ['github-push', 'gitea-push', 'gitlab-tag-push']) {
+    const { rawBody, headers } = readDelivery(name);
+    assert.ok(verifySignature(getProvider(headers), headers, rawBody, SECRET), name);
+  }
+});
+
+test('rejects deliveries with another secret or a modified body', () => {
+  for (const name of ['github-push', 'gitea-push', 'gitlab-tag-push']) {
+    const { rawBody, headers } = readDelivery(name);
+    const provider = getProvider(headers);
+    assert.ok(!verifySignature(provider, headers, rawBody, 'another secret'), name);
+    assert.ok(!verifySignature(provider, headers, rawBody, ''), name);
+    if (provider !== 'gitlab') {
+      const modified = Buffer.from(rawBody.toString().replace('"after": "', '"after": "f'));
+      assert.ok(!verifySignature(provider, headers, modified, SECRET), name);
+    }
+  }
+});
+
+test('rejects deliveries without their signature header', () => {
+  const missing = { 'github-push': 'x-hub-signature-256', 'gitea-push': 'x-gitea-signature', 'gitlab-tag-push': 'x-gitlab-token' };
+
+  for (const [name, header] of Object.entries(missing)) {
+    const { rawBody, headers } = readDelivery(name);
+    const provider = getProvider(headers);
+    // Gitea's GitHub-style x-hub-signature-256 is not accepted in place of its own header
+    delete headers[header];
+    assert.ok(!verifySignature(provider, headers, rawBody, SECRET), name);
+  }
+});
+
+test('parses branch and tag pushes and ignores deleted refs', () => {
+  assert.deepStrictEqual(parsePush(readDelivery('github-push').body), {
+    ref: 'refs/heads/main',
+    branch: 'main',
+    tag: null,
+    commit: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c'
+  });
+  assert.deepStrictEqual(parsePush(readDelivery('gitea-push').body), {
+    ref: 'refs/heads/release/1.4',
+    branch: 'release/1.4',
+    tag: null,
+    commit: 'bffeb74224043ba2feb48d137756c8a9331c449a'
+  });
+  // For annotated tags GitLab's after is the tag object, checkout_sha the tagged commit
+  assert.deepStrictEqual(parsePush(readDelivery('gitlab-tag-push').body), {
+    ref: 'refs/tags/v1.4.0+build.7',
+    branch: null,
+    tag: 'v1.4.0+build.7',
+    commit: '3cf6b1d9b4a7e8b2c41f2a3aa8d0a5c7c9e8f101'
+  });
+  assert.strictEqual(parsePush(readDelivery('github-branch-delete').body), null);
+  assert.strictEqual(parsePush({ ref: 'refs/merge-requests/4/head', after: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c' }), null);
+});
+
+test('matches pushes against the first fitting webhook branch line', () => {
+  const webhookBranches = 'main\nrelease/*=prod\n\n  develop = staging  \ntags=prod';
+  const main = parsePush(readDelivery('github-push').body);
+  const release = parsePush(readDelivery('gitea-push').body);
+  const tag = parsePush(readDelivery('gitlab-tag-push').body);
+
+  assert.deepStrictEqual(matchPush(webhookBranches, main), { environment: null });
+  assert.deepStrictEqual(matchPush(webhookBranches, release), { environment: 'prod' });
+  assert.deepStrictEqual(matchPush(webhookBranches, tag), { environment: 'prod' });
+  assert.deepStrictEqual(matchPush(webhookBranches, { ...main, branch: 'develop' }), { environment: 'staging' });
+  assert.strictEqual(matchPush(webhookBranches, { ...main, branch: 'feature/main' }), null);
+  assert.strictEqual(matchPush('main', tag), null);
+  // A branch named "tags" is still a branch
+  assert.deepStrictEqual(matchPush('tags=prod', { ...main, branch: 'tags' }), { environment: 'prod' });
+  assert.strictEqual(matchPush('', main), null);
+  assert.strictEqual(matchPush(undefined, main), null);
+});
+
+test('tags images with the short commit SHA for branches and a Docker-safe Git tag for tags', () => {
+  assert.strictEqual(getImageTag(parsePush(readDelivery('github-push').body)), '0d1a26e');
+  assert.strictEqual(getImageTag(parsePush(readDelivery('gitlab-tag-push').body)), 'v1.4.0-build.7');
+  assert.strictEqual(getImageTag({ tag: '.hidden/-tag', commit: '3cf6b1d9b4a7' }), 'hidden--tag');
+  assert.strictEqual(getImageTag({ tag: '...', commit: '3cf6b1d9b4a7' }), '3cf6b1d');
+  assert.strictEqual(getImageTag({ tag: 'v'.repeat(200), commit: '3cf6b1d9b4a7' }).length, 128);
+});